@@ -0,0 +1,258 @@
+import { Subscription } from 'rxjs';
+import { GAME_EVENT } from './GameEvents.js';
+import { TILE } from './Tiles.js';
+import { t, locale$ } from './I18n.js';
+
+// Offscreen DOM copy of a Grid for screen readers: an ARIA grid of focusable cells that
+// follows the board, plus live regions announcing merges, score, hints and game over.
+// The canvas is invisible to assistive technology; this mirror is what it reads and drives.
+//
+// keys on a focused cell: arrows move, Enter / Space selects (start / extend / backtrack),
+// Enter on the last cell of the path merges (or restarts after game over), Escape cancels.
+// Focus moves the grid's focus cursor along, so sighted keyboard users see the same cell.
+
+// hidden from view but not from assistive technology
+const OFFSCREEN =
+    'position:absolute;left:0;top:0;width:1px;height:1px;overflow:hidden;' +
+    'clip:rect(0 0 0 0);clip-path:inset(50%);white-space:nowrap;';
+
+const MOVES = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+
+// announcements arriving within this many ms are read as one sentence
+const ANNOUNCE_DELAY = 150;
+
+export class AccessibleBoard {
+    /**
+     * options:
+     *  - container (Element) where the mirror is attached (default document.body)
+     *  - label (string) accessible name of the board (default: translated 'a11y.board')
+     */
+    constructor(grid, options = {}) {
+        const { container = document.body, label = null } = options;
+        this.grid = grid;
+        this._label = label;
+        // topic -> sentence waiting to be announced
+        this._pending = new Map();
+        this._timer = null;
+        // cell with tabindex 0; the others are reached with the arrows (roving tabindex)
+        this._focus = { r: 0, c: 0 };
+
+        this.root = document.createElement('div');
+        this.root.setAttribute('style', OFFSCREEN);
+
+        this.board = document.createElement('div');
+        this.board.setAttribute('role', 'grid');
+        this.board.setAttribute('aria-rowcount', String(grid.rows));
+        this.board.setAttribute('aria-colcount', String(grid.cols));
+        this.cells = [];
+        for (let r = 0; r < grid.rows; r++) {
+            const row = document.createElement('div');
+            row.setAttribute('role', 'row');
+            row.setAttribute('aria-rowindex', String(r + 1));
+            this.cells.push([]);
+            for (let c = 0; c < grid.cols; c++) {
+                const cell = document.createElement('div');
+                cell.setAttribute('role', 'gridcell');
+                cell.setAttribute('aria-colindex', String(c + 1));
+                cell.tabIndex = r === 0 && c === 0 ? 0 : -1;
+                cell.addEventListener('keydown', (e) => this._onKey(e, r, c));
+                cell.addEventListener('focus', () => this._onFocus(r, c));
+                row.appendChild(cell);
+                this.cells[r].push(cell);
+            }
+            this.board.appendChild(row);
+        }
+        this.root.appendChild(this.board);
+
+        // polite for the running commentary, assertive for the end of the game
+        this.status = this._liveRegion('status', 'polite');
+        this.alert = this._liveRegion('alert', 'assertive');
+        container.appendChild(this.root);
+
+        this._subs = new Subscription();
+        this._subs.add(grid.events$.subscribe((ev) => this._onEvent(ev)));
+        this._subs.add(grid.stateChanged$.subscribe(() => this.refresh()));
+        // labels follow the language; refresh() covers the board name too
+        this._subs.add(locale$.subscribe(() => this.refresh()));
+        this._lastScore = grid.score;
+        this._subs.add(
+            grid.score$.subscribe((score) => {
+                if (score !== this._lastScore) this._say(t('a11y.score', { score }), 'score');
+                this._lastScore = score;
+                this.refresh();
+            })
+        );
+        grid.once('destroyed', () => this.destroy());
+        this.refresh();
+    }
+
+    _liveRegion(role, live) {
+        const el = document.createElement('div');
+        el.setAttribute('role', role);
+        el.setAttribute('aria-live', live);
+        el.setAttribute('aria-atomic', 'true');
+        this.root.appendChild(el);
+        return el;
+    }
+
+    // spoken name of a board position
+    _describe(r, c) {
+        const model = this.grid.model;
+        const value = model.getValue(r, c);
+        const kind = model.getKind(r, c);
+        if (kind === TILE.BLOCKER) return t('a11y.blocked');
+        if (kind === TILE.WILD) return t('a11y.wild');
+        if (value == null) return t('a11y.empty');
+        // tile values are read as written on the tiles, without grouping
+        let tile = String(value);
+        if (kind === TILE.BOMB) tile = t('a11y.bomb', { tile });
+        else if (kind === TILE.LOCKED) tile = t('a11y.locked', { tile });
+        if (value === model.goldValue) tile = t('a11y.gold', { tile });
+        return tile;
+    }
+
+    _pathText(path) {
+        return path.map((p) => this._describe(p.r, p.c)).join(', ');
+    }
+
+    // '5 at row 1 column 2, then 5 at row 2 column 2'
+    _stepsText(path) {
+        return path
+            .map((p) =>
+                t('a11y.at', { tile: this._describe(p.r, p.c), row: p.r + 1, col: p.c + 1 })
+            )
+            .join(t('a11y.then'));
+    }
+
+    // copy values and the selection into the cells
+    refresh() {
+        this.board.setAttribute('aria-label', this._label ?? t('a11y.board'));
+        const path = this.grid._selectionPath();
+        const selected = new Set(path.map((p) => `${p.r},${p.c}`));
+        for (let r = 0; r < this.grid.rows; r++) {
+            for (let c = 0; c < this.grid.cols; c++) {
+                const cell = this.cells[r][c];
+                const tile = this._describe(r, c);
+                cell.setAttribute('aria-label', t('a11y.cell', { tile, row: r + 1, col: c + 1 }));
+                cell.setAttribute('aria-selected', String(selected.has(`${r},${c}`)));
+            }
+        }
+    }
+
+    // queue a sentence for the polite region; a burst of events is read as one update, in which
+    // a newer sentence on the same topic (the path so far, the score) replaces the older one
+    _say(text, topic = text) {
+        this._pending.set(topic, text);
+        if (this._timer != null) return;
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this.status.textContent = [...this._pending.values()].join(' ');
+            this._pending.clear();
+        }, ANNOUNCE_DELAY);
+    }
+
+    _onEvent(ev) {
+        switch (ev.type) {
+            case GAME_EVENT.SELECTION_START:
+            case GAME_EVENT.SELECTION_EXTEND:
+            case GAME_EVENT.SELECTION_BACKTRACK:
+                this.refresh();
+                this._say(t('a11y.path', { tiles: this._pathText(ev.path) }), 'path');
+                break;
+            case GAME_EVENT.SELECTION_CANCEL:
+                this.refresh();
+                this._say(t('a11y.cleared'), 'path');
+                break;
+            case GAME_EVENT.INVALID_MERGE:
+                this._say(t('a11y.invalid'));
+                break;
+            case GAME_EVENT.MERGE:
+                this._say(
+                    t(ev.cascadeStep > 0 ? 'a11y.cascade' : 'a11y.merged', {
+                        count: ev.path.length,
+                        value: ev.result,
+                    })
+                );
+                break;
+            case GAME_EVENT.COLLECT:
+                this._say(t('a11y.collected', { value: ev.value }));
+                break;
+            case GAME_EVENT.COLLAPSE_END:
+                this.refresh();
+                break;
+            case GAME_EVENT.RESTART:
+                this.refresh();
+                this.alert.textContent = '';
+                this._say(t('a11y.newGame'));
+                break;
+            case GAME_EVENT.SHUFFLE:
+                this._say(
+                    t('a11y.shuffled', { shuffles: t('shuffles', { count: ev.shufflesLeft }) })
+                );
+                break;
+            case GAME_EVENT.HINT:
+                this._say(t('a11y.hint', { steps: this._stepsText(ev.path) }));
+                break;
+            case GAME_EVENT.GAME_OVER:
+                // no "press Enter" when the run cannot be restarted (daily challenge)
+                this.alert.textContent = t(
+                    this.grid.restartable ? 'a11y.gameOver' : 'a11y.gameOverFinal',
+                    {
+                        message: ev.message,
+                        score: ev.score,
+                    }
+                );
+                break;
+        }
+    }
+
+    _onFocus(r, c) {
+        this._moveFocus(r, c, false);
+        if (this.grid.inputEnabled) this.grid.setCursor(r, c);
+    }
+
+    _moveFocus(r, c, focus = true) {
+        r = Math.max(0, Math.min(this.grid.rows - 1, r));
+        c = Math.max(0, Math.min(this.grid.cols - 1, c));
+        this.cells[this._focus.r][this._focus.c].tabIndex = -1;
+        this._focus = { r, c };
+        const cell = this.cells[r][c];
+        cell.tabIndex = 0;
+        if (focus) cell.focus();
+    }
+
+    _onKey(e, r, c) {
+        // replays and other scripted sessions switch input off
+        if (!this.grid.inputEnabled || e.altKey || e.ctrlKey || e.metaKey) return;
+        const grid = this.grid;
+        const move = MOVES[e.key];
+        if (move) {
+            this._moveFocus(r + move[0], c + move[1]);
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            const path = grid._selectionPath();
+            const last = path[path.length - 1];
+            if (grid.gameOver$.getValue()) {
+                if (e.key === 'Enter' && grid.restartable) grid.restartGame();
+            } else if (e.key === 'Enter' && last && last.r === r && last.c === c) {
+                grid.commitSelection();
+            } else if (!grid.selectAt(r, c)) {
+                this._say(t('a11y.cannotSelect', { tile: this._describe(r, c) }));
+            }
+        } else if (e.key === 'Escape') {
+            grid.cancelSelection();
+        } else {
+            return;
+        }
+        // handled here: keep the window-level KeyboardInput from acting on it again
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    destroy() {
+        if (!this._subs) return;
+        this._subs.unsubscribe();
+        this._subs = null;
+        clearTimeout(this._timer);
+        if (this.root.parentNode) this.root.parentNode.removeChild(this.root);
+    }
+}
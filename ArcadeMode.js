@@ -0,0 +1,72 @@
+import { gsap } from 'gsap';
+import { Grid } from './Grid.js';
+import { ArcadeTimer } from './ArcadeTimer.js';
+import { t } from './I18n.js';
+
+// board for the timed arcade mode; no undo, since rewinding would also rewind the clock.
+// Occasional wildcards and bombs keep the pace up.
+export function createArcadeGrid(options = {}) {
+    return new Grid(8, 8, {
+        undoLimit: 0,
+        specials: { wild: 0.02, bomb: 0.02 },
+        shuffles: 3,
+        ...options,
+        mode: 'arcade',
+    });
+}
+
+/**
+ * Runs a Grid against the clock: merges (cascades included) add time for their result value,
+ * the run ends when the clock hits zero even if moves remain, and the clock stops while a move
+ * resolves and while the tab is hidden. The Game Over overlay's Restart starts a new run.
+ * options: see DEFAULT_ARCADE in ArcadeTimer.js
+ */
+export class ArcadeMode {
+    constructor(grid, options = {}) {
+        this.grid = grid;
+        const timer = new ArcadeTimer(options);
+        this.timer = timer;
+        // ms left; completes when the mode is destroyed
+        this.remaining$ = timer.remaining$;
+        timer.start();
+
+        this._subs = [
+            grid.resolving$.subscribe((resolving) =>
+                resolving ? timer.pause('collapse') : timer.resume('collapse')
+            ),
+            grid.scoreEvents$.subscribe((ev) => timer.addTime(timer.timeForMerge(ev.result))),
+            // out of moves before out of time
+            grid.gameOver$.subscribe((over) => over && timer.stop()),
+            grid.history$.subscribe((ev) => {
+                if (ev.type !== 'restart') return;
+                timer.reset();
+                timer.start();
+            }),
+            timer.expired$.subscribe(() => grid.endGame(t('arcade.timeUp'))),
+        ];
+
+        this._onVisibility = () =>
+            document.hidden ? timer.pause('hidden') : timer.resume('hidden');
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', this._onVisibility);
+            this._onVisibility();
+        }
+
+        this._tick = () => timer.update();
+        gsap.ticker.add(this._tick);
+        this._onDestroyed = () => this.destroy();
+        grid.once('destroyed', this._onDestroyed);
+    }
+
+    destroy() {
+        if (!this._subs) return;
+        this._subs.forEach((s) => s.unsubscribe());
+        this._subs = null;
+        gsap.ticker.remove(this._tick);
+        if (typeof document !== 'undefined')
+            document.removeEventListener('visibilitychange', this._onVisibility);
+        this.grid.off('destroyed', this._onDestroyed);
+        this.timer.stop();
+        this.remaining$.complete();
+    }
+}
@@ -0,0 +1,109 @@
+import { BehaviorSubject, Subject } from 'rxjs';
+
+// Countdown for the timed arcade mode (renderer-free). Time only runs while started and not
+// paused; pauses are named so independent reasons (collapse animation, hidden tab) can overlap.
+
+export const DEFAULT_ARCADE = {
+    duration: 60000, // ms on the clock at the start of a run
+    timePerValue: 40, // ms given back per point of a merge's result value (100 -> +4s)
+    maxTime: 120000, // the clock never holds more than this
+};
+
+export class ArcadeTimer {
+    /**
+     * options: duration, timePerValue, maxTime (see DEFAULT_ARCADE)
+     *  - now (fn -> ms) clock, default performance.now / Date.now
+     */
+    constructor(options = {}) {
+        const { now, ...rules } = options;
+        this.options = { ...DEFAULT_ARCADE, ...rules };
+        this.now =
+            now ||
+            (typeof performance !== 'undefined' ? () => performance.now() : () => Date.now());
+        // ms left on the clock
+        this.remaining$ = new BehaviorSubject(this.options.duration);
+        // fires once when the clock reaches zero
+        this.expired$ = new Subject();
+        this._pauses = new Set();
+        this.running = false;
+        this.expired = false;
+        this._last = 0;
+    }
+
+    get remaining() {
+        return this.remaining$.getValue();
+    }
+
+    get paused() {
+        return this._pauses.size > 0;
+    }
+
+    // full clock, stopped; pauses are kept (a hidden tab is still hidden)
+    reset(duration = this.options.duration) {
+        this.running = false;
+        this.expired = false;
+        this._set(duration);
+    }
+
+    start() {
+        if (this.expired) return;
+        this.running = true;
+        this._last = this.now();
+    }
+
+    stop() {
+        this.update();
+        this.running = false;
+    }
+
+    pause(reason = 'manual') {
+        if (this._pauses.has(reason)) return;
+        // bank the time that ran before the pause
+        this.update();
+        this._pauses.add(reason);
+    }
+
+    resume(reason = 'manual') {
+        if (!this._pauses.delete(reason)) return;
+        if (!this.paused) this._last = this.now();
+    }
+
+    // add (or with a negative value remove) time
+    addTime(ms) {
+        if (this.expired) return;
+        this.update();
+        this._set(Math.min(this.options.maxTime, this.remaining + ms));
+    }
+
+    // time earned by a merge producing result
+    timeForMerge(result) {
+        return Math.max(0, Number(result) || 0) * this.options.timePerValue;
+    }
+
+    // advance the clock to now; call every frame
+    update() {
+        if (!this.running || this.paused || this.expired) return;
+        const t = this.now();
+        const elapsed = t - this._last;
+        this._last = t;
+        if (elapsed > 0) this._set(this.remaining - elapsed);
+    }
+
+    _set(ms) {
+        const value = Math.max(0, ms);
+        if (value !== this.remaining) this.remaining$.next(value);
+        if (value === 0 && this.running && !this.expired) {
+            this.expired = true;
+            this.running = false;
+            this.expired$.next();
+        }
+    }
+}
+
+// m:ss.t for HUDs
+export function formatTime(ms) {
+    const tenths = Math.ceil(Math.max(0, ms) / 100);
+    const m = Math.floor(tenths / 600);
+    const s = Math.floor((tenths % 600) / 10);
+    return `${m}:${String(s).padStart(2, '0')}.${tenths % 10}`;
+}
@@ -0,0 +1,78 @@
+// Checks of the arcade clock on an injected time source.
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ArcadeTimer, formatTime } from './ArcadeTimer.js';
+
+// a timer on a hand-driven clock
+function makeTimer(options = {}) {
+    const clock = { t: 0 };
+    const timer = new ArcadeTimer({ duration: 10000, now: () => clock.t, ...options });
+    const advance = (ms) => {
+        clock.t += ms;
+        timer.update();
+    };
+    return { timer, advance };
+}
+
+test('the clock only runs once started', () => {
+    const { timer, advance } = makeTimer();
+    advance(1000);
+    assert.equal(timer.remaining, 10000);
+    timer.start();
+    advance(2500);
+    assert.equal(timer.remaining, 7500);
+});
+
+test('named pauses overlap and the clock resumes after the last one', () => {
+    const { timer, advance } = makeTimer();
+    timer.start();
+    advance(1000);
+    timer.pause('collapse');
+    timer.pause('hidden');
+    advance(3000);
+    timer.resume('collapse');
+    advance(3000);
+    assert.equal(timer.remaining, 9000);
+    // resuming a reason that is not paused changes nothing
+    timer.resume('collapse');
+    assert.ok(timer.paused);
+    timer.resume('hidden');
+    advance(1000);
+    assert.equal(timer.remaining, 8000);
+});
+
+test('added time is capped at maxTime', () => {
+    const { timer } = makeTimer({ maxTime: 12000, timePerValue: 40 });
+    timer.addTime(timer.timeForMerge(100));
+    assert.equal(timer.remaining, 12000);
+});
+
+test('running out fires expired$ once and stops the clock', () => {
+    const { timer, advance } = makeTimer();
+    let fired = 0;
+    timer.expired$.subscribe(() => fired++);
+    timer.start();
+    advance(9000);
+    assert.equal(fired, 0);
+    advance(5000);
+    advance(1000);
+    assert.equal(fired, 1);
+    assert.equal(timer.remaining, 0);
+    assert.ok(timer.expired);
+    assert.equal(timer.running, false);
+    // an expired run earns no more time until it is reset
+    timer.addTime(5000);
+    assert.equal(timer.remaining, 0);
+    timer.reset();
+    assert.equal(timer.remaining, 10000);
+    assert.equal(timer.expired, false);
+});
+
+test('formatTime shows minutes, seconds and tenths rounded up', () => {
+    assert.equal(formatTime(61250), '1:01.3');
+    assert.equal(formatTime(0), '0:00.0');
+    assert.equal(formatTime(-5), '0:00.0');
+});
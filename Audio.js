@@ -0,0 +1,292 @@
+import { GAME_EVENT } from './GameEvents.js';
+
+// Sound effects and background music, synthesized with Web Audio so there are no files to load.
+// Browsers only allow audio after a user gesture: nothing is created until unlock() runs from
+// one (see listenForUnlock). Without Web Audio (old browsers, Node) every call is a no-op.
+//
+// Graph: effects -> sfx gain -> master gain -> speakers, music -> music gain -> master gain.
+
+// pentatonic steps (semitones) used for the selection pitch and the music
+const SCALE = [0, 2, 4, 7, 9];
+// landing thumps closer together than this (s) are merged into one
+const LAND_GAP = 0.06;
+// music: seconds per step, how far ahead notes are scheduled and how often the scheduler runs
+const MUSIC_STEP = 0.3;
+const MUSIC_AHEAD = 0.4;
+const MUSIC_TICK_MS = 100;
+// looping bass line and melody, as scale degrees (null = rest)
+const MUSIC_BASS = [0, null, 0, null, 3, null, 4, null, 2, null, 2, null, 3, null, 4, null];
+const MUSIC_MELODY = [4, 7, 5, null, 7, 9, 7, 5, 4, null, 5, 7, 9, null, 7, null];
+
+// frequency of a scale degree above base (degrees past the scale continue in the next octave)
+function degreeToFreq(base, degree) {
+    const octave = Math.floor(degree / SCALE.length);
+    const step = SCALE[((degree % SCALE.length) + SCALE.length) % SCALE.length];
+    return base * Math.pow(2, octave + step / 12);
+}
+
+export class GameAudio {
+    /**
+     * settings: SettingsStore (see Settings.js) providing muted and the volumes
+     */
+    constructor(settings) {
+        this.settings = settings;
+        this.ctx = null;
+        this._lastLand = 0;
+        this._music = null;
+        this._subs = [settings.settings$.subscribe(() => this._applySettings())];
+    }
+
+    get unlocked() {
+        return !!this.ctx;
+    }
+
+    // create the audio graph; must run inside a user gesture handler
+    unlock() {
+        if (this.ctx) {
+            if (this.ctx.state === 'suspended') this.ctx.resume().catch(() => {});
+            return;
+        }
+        const AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+        if (!AudioContextClass) return;
+        try {
+            const ctx = new AudioContextClass();
+            this.master = ctx.createGain();
+            this.master.connect(ctx.destination);
+            this.sfx = ctx.createGain();
+            this.sfx.connect(this.master);
+            this.music = ctx.createGain();
+            this.music.connect(this.master);
+            this.ctx = ctx;
+            if (ctx.state === 'suspended') ctx.resume().catch(() => {});
+        } catch (e) {
+            this.ctx = null;
+            return;
+        }
+        this._applySettings();
+        this._onVisibility = () => {
+            // no music from a background tab
+            if (document.hidden) this.ctx.suspend().catch(() => {});
+            else this.ctx.resume().catch(() => {});
+        };
+        if (typeof document !== 'undefined')
+            document.addEventListener('visibilitychange', this._onVisibility);
+        this.startMusic();
+    }
+
+    // unlock on the first pointer or key press on target
+    listenForUnlock(target = globalThis) {
+        if (!target || typeof target.addEventListener !== 'function') return;
+        const events = ['pointerdown', 'keydown', 'touchend'];
+        const onGesture = () => {
+            events.forEach((name) => target.removeEventListener(name, onGesture));
+            this.unlock();
+        };
+        events.forEach((name) => target.addEventListener(name, onGesture));
+    }
+
+    _applySettings() {
+        if (!this.ctx) return;
+        const { muted, masterVolume, sfxVolume, musicVolume } = this.settings.value;
+        const t = this.ctx.currentTime;
+        // short ramps avoid clicks when a volume jumps
+        this.master.gain.setTargetAtTime(muted ? 0 : masterVolume, t, 0.02);
+        this.sfx.gain.setTargetAtTime(sfxVolume, t, 0.02);
+        this.music.gain.setTargetAtTime(musicVolume * 0.5, t, 0.02);
+    }
+
+    /**
+     * One enveloped oscillator note on a bus.
+     * options: freq (Hz), type (oscillator type), duration (s), volume, slideTo (Hz at the end),
+     * delay (s from now), bus ('sfx' | 'music'), at (absolute context time, overrides delay)
+     */
+    _tone({
+        freq,
+        type = 'sine',
+        duration = 0.12,
+        volume = 0.3,
+        slideTo = null,
+        delay = 0,
+        bus = 'sfx',
+        at = null,
+    }) {
+        const ctx = this.ctx;
+        if (!ctx || this.settings.value.muted) return;
+        const start = at ?? ctx.currentTime + delay;
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.type = type;
+        osc.frequency.setValueAtTime(freq, start);
+        if (slideTo) osc.frequency.exponentialRampToValueAtTime(slideTo, start + duration);
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.exponentialRampToValueAtTime(volume, start + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+        osc.connect(gain);
+        gain.connect(bus === 'music' ? this.music : this.sfx);
+        osc.start(start);
+        osc.stop(start + duration + 0.02);
+        osc.onended = () => gain.disconnect();
+    }
+
+    // --- effects ---
+
+    // index: position of the cell in the selection path, each one a step higher
+    select(index) {
+        this._tone({ freq: degreeToFreq(440, Math.min(index, 14)), type: 'triangle', volume: 0.2 });
+    }
+
+    merge(result) {
+        // bigger results ring lower and longer
+        const rank = Math.log10(Math.max(1, result));
+        const base = 660 / (1 + rank * 0.25);
+        [0, 2, 4].forEach((degree, i) =>
+            this._tone({
+                freq: degreeToFreq(base, degree),
+                type: 'triangle',
+                duration: 0.16 + rank * 0.04,
+                volume: 0.22,
+                delay: i * 0.05,
+            })
+        );
+    }
+
+    invalid() {
+        this._tone({ freq: 180, type: 'square', duration: 0.18, volume: 0.12, slideTo: 120 });
+    }
+
+    gold() {
+        [0, 2, 4, 5, 7].forEach((degree, i) =>
+            this._tone({
+                freq: degreeToFreq(880, degree),
+                duration: 0.25,
+                volume: 0.18,
+                delay: 0.12 + i * 0.06,
+            })
+        );
+    }
+
+    collect() {
+        this._tone({ freq: 990, duration: 0.3, volume: 0.2, slideTo: 1760 });
+        this._tone({ freq: 1320, duration: 0.3, volume: 0.12, delay: 0.08, slideTo: 2200 });
+    }
+
+    land() {
+        if (!this.ctx) return;
+        const now = this.ctx.currentTime;
+        if (now - this._lastLand < LAND_GAP) return;
+        this._lastLand = now;
+        this._tone({ freq: 140, duration: 0.09, volume: 0.25, slideTo: 70 });
+    }
+
+    shuffle() {
+        for (let i = 0; i < 6; i++)
+            this._tone({ freq: 300 + i * 90, type: 'sawtooth', volume: 0.05, delay: i * 0.04 });
+    }
+
+    gameOver() {
+        [4, 2, 0, -1].forEach((degree, i) =>
+            this._tone({
+                freq: degreeToFreq(330, degree),
+                type: 'triangle',
+                duration: 0.4,
+                volume: 0.22,
+                delay: i * 0.22,
+            })
+        );
+    }
+
+    // --- music ---
+
+    // a looping tune scheduled slightly ahead of time, so timers never cut notes short
+    startMusic() {
+        if (!this.ctx || this._music) return;
+        const music = { step: 0, next: this.ctx.currentTime + 0.1, timer: null };
+        music.timer = setInterval(() => {
+            const ctx = this.ctx;
+            // a suspended context does not advance; catch up instead of piling notes up
+            if (music.next < ctx.currentTime) music.next = ctx.currentTime + 0.05;
+            while (music.next < ctx.currentTime + MUSIC_AHEAD) {
+                const i = music.step % MUSIC_MELODY.length;
+                const bass = MUSIC_BASS[i];
+                const melody = MUSIC_MELODY[i];
+                if (bass != null)
+                    this._tone({
+                        freq: degreeToFreq(110, bass),
+                        type: 'triangle',
+                        duration: MUSIC_STEP * 1.8,
+                        volume: 0.3,
+                        bus: 'music',
+                        at: music.next,
+                    });
+                if (melody != null)
+                    this._tone({
+                        freq: degreeToFreq(220, melody),
+                        duration: MUSIC_STEP * 0.9,
+                        volume: 0.15,
+                        bus: 'music',
+                        at: music.next,
+                    });
+                music.step++;
+                music.next += MUSIC_STEP;
+            }
+        }, MUSIC_TICK_MS);
+        this._music = music;
+    }
+
+    stopMusic() {
+        if (!this._music) return;
+        clearInterval(this._music.timer);
+        this._music = null;
+    }
+
+    /**
+     * Play the grid's events (see GameEvents.js); sounds are fire-and-forget, so animations
+     * never wait on them. Returns the subscription; it ends when the grid is destroyed.
+     */
+    attach(grid) {
+        let collapsing = false;
+        const sub = grid.events$.subscribe((ev) => {
+            switch (ev.type) {
+                case GAME_EVENT.SELECTION_START:
+                case GAME_EVENT.SELECTION_EXTEND:
+                case GAME_EVENT.SELECTION_BACKTRACK:
+                    this.select(ev.path.length - 1);
+                    break;
+                case GAME_EVENT.INVALID_MERGE:
+                    this.invalid();
+                    break;
+                case GAME_EVENT.MERGE:
+                    this.merge(ev.result);
+                    if (ev.result === grid.model.goldValue) this.gold();
+                    break;
+                case GAME_EVENT.COLLECT:
+                    this.collect();
+                    break;
+                case GAME_EVENT.COLLAPSE_START:
+                    collapsing = ev.moves.length + ev.spawns.length > 0;
+                    break;
+                case GAME_EVENT.COLLAPSE_END:
+                    if (collapsing) this.land();
+                    collapsing = false;
+                    break;
+                case GAME_EVENT.SHUFFLE:
+                    this.shuffle();
+                    break;
+                case GAME_EVENT.GAME_OVER:
+                    this.gameOver();
+                    break;
+            }
+        });
+        grid.once('destroyed', () => sub.unsubscribe());
+        return sub;
+    }
+
+    destroy() {
+        this.stopMusic();
+        this._subs.forEach((s) => s.unsubscribe());
+        if (this._onVisibility && typeof document !== 'undefined')
+            document.removeEventListener('visibilitychange', this._onVisibility);
+        if (this.ctx) this.ctx.close().catch(() => {});
+        this.ctx = null;
+    }
+}
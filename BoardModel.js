@@ -0,0 +1,686 @@
+// Renderer-free board rules: cell values live in plain arrays (rows top->bottom) and every
+// rule (selection, merging, gravity, refill, move detection) works without Pixi or GSAP so
+// the same code can run in the browser view, in Node tests, bots or on a server.
+
+import { SeededRandom } from './Random.js';
+import {
+    DEFAULT_RECIPES,
+    normalizeRecipes,
+    recipeAccepts,
+    recipeResult,
+    recipeSums,
+} from './MergeRecipes.js';
+import {
+    TILE,
+    TILE_KINDS,
+    DEFAULT_SPECIALS,
+    isSelectableKind,
+    isFixedKind,
+    parseLayoutToken,
+} from './Tiles.js';
+import { MoveSolver } from './Solver.js';
+
+const DEFAULT_VALUES = [1, 5, 10, 25, 50, 100, 500];
+const DEFAULT_WEIGHTS = [0.36, 0.18, 0.12, 0.06, 0.03, 0.01, 0];
+
+// every total n wildcards can add when each takes one of options
+function wildSums(options, n) {
+    let sums = new Set([0]);
+    for (let i = 0; i < n; i++) {
+        const next = new Set();
+        for (let s of sums) for (let v of options) next.add(s + v);
+        sums = next;
+    }
+    return sums;
+}
+
+// normalize weights to length of values; if provided shorter/longer, fall back to decreasing
+// weights
+export function normalizeWeights(values, weights) {
+    let w =
+        weights && weights.length === values.length
+            ? weights.slice()
+            : new Array(values.length).fill(0).map((_, i) => values.length - i);
+    // normalize to sum 1
+    const sumW = w.reduce((a, b) => a + b, 0) || 1;
+    return w.map((x) => x / sumW);
+}
+
+export class BoardModel {
+    /**
+     * Create a board model.
+     * options:
+     *  - values (number[]) allowed tile values, ascending
+     *  - weights (number[]) spawn weights matching values
+     *  - minCollectLen (number) minimum number of cells in a merge
+     *  - recipes (object[]) merge recipe table (see MergeRecipes.js)
+     *  - cells (Array<Array<number|null>>) initial values; randomly filled when omitted
+     *  - kinds (Array<Array<string|null>>) special tile kinds matching cells (see Tiles.js)
+     *  - layout (Array<Array<number|string|null>>) starting layout applied on every reset;
+     *    null entries are filled randomly, strings are special tiles (level boards)
+     *  - specials ({ wild, bomb }) chance of a refilled cell being a wildcard / bomb
+     *  - goldValue (number) tile value that can be collected by tapping it (default 500)
+     *  - seed (number|string) seed for the default SeededRandom
+     *  - rng (object) custom generator with next() -> [0, 1); overrides seed
+     */
+    constructor(rows = 8, cols = 8, options = {}) {
+        const {
+            values = DEFAULT_VALUES,
+            weights = DEFAULT_WEIGHTS,
+            minCollectLen = 2,
+            recipes = DEFAULT_RECIPES,
+            cells = null,
+            kinds = null,
+            layout = null,
+            specials = DEFAULT_SPECIALS,
+            goldValue = 500,
+            seed,
+            rng = null,
+        } = options;
+
+        this.rows = rows;
+        this.cols = cols;
+        this.values = values;
+        this.weights = normalizeWeights(values, weights);
+        this.minCollectLen = minCollectLen;
+        this.recipes = normalizeRecipes(recipes, minCollectLen);
+        // every draw that affects the board goes through this generator
+        this.rng = rng || new SeededRandom(seed);
+        this.layout = layout ? layout.map((row) => (row ? row.slice() : [])) : null;
+        this.specials = { ...DEFAULT_SPECIALS, ...specials };
+        this.goldValue = goldValue;
+
+        this.cells = Array.from({ length: rows }, () => Array(cols).fill(null));
+        // special tile kind per cell (null for plain tiles)
+        this.kinds = Array.from({ length: rows }, () => Array(cols).fill(null));
+        if (cells) {
+            this.setCells(cells);
+            if (kinds) this.setKinds(kinds);
+        } else {
+            this.fill();
+        }
+    }
+
+    // independent copy of the board and rules for trying moves out (solver, bots); its
+    // generator continues from the same position
+    clone() {
+        const rng = new SeededRandom(this.seed ?? 0);
+        if (this.rng && typeof this.rng.getState === 'function') rng.setState(this.rng.getState());
+        return new BoardModel(this.rows, this.cols, {
+            values: this.values,
+            weights: this.weights,
+            minCollectLen: this.minCollectLen,
+            recipes: this.recipes,
+            cells: this.cells,
+            kinds: this.kinds,
+            layout: this.layout,
+            specials: this.specials,
+            goldValue: this.goldValue,
+            rng,
+        });
+    }
+
+    // seed of the current generator (null for custom generators that do not expose one)
+    get seed() {
+        return this.rng && this.rng.seed != null ? this.rng.seed : null;
+    }
+
+    // restart the generator sequence; custom generators without reseed() are replaced
+    reseed(seed) {
+        if (this.rng && typeof this.rng.reseed === 'function') this.rng.reseed(seed);
+        else this.rng = new SeededRandom(seed);
+    }
+
+    // pick weighted random from array (defaults to the configured values & weights)
+    pickWeighted(arr = this.values, w = this.weights) {
+        if (!arr || arr.length === 0) return null;
+        if (!w || w.length !== arr.length) return arr[Math.floor(this.rng.next() * arr.length)];
+        const r = this.rng.next();
+        let acc = 0;
+        for (let i = 0; i < w.length; i++) {
+            acc += w[i];
+            if (r <= acc) return arr[i];
+        }
+        return arr[arr.length - 1];
+    }
+
+    // value (and possibly a special kind) for a refilled cell; the extra draw for the kind is
+    // only made when specials can spawn
+    _spawnTile() {
+        const value = this.pickWeighted();
+        const { wild = 0, bomb = 0 } = this.specials;
+        if (wild + bomb <= 0) return { value, kind: null };
+        const roll = this.rng.next();
+        if (roll < wild) return { value: 0, kind: TILE.WILD };
+        if (roll < wild + bomb) return { value, kind: TILE.BOMB };
+        return { value, kind: null };
+    }
+
+    // refill every cell with a weighted random tile (or the layout tile when one is set)
+    fill() {
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
+                const fixed =
+                    this.layout && this.layout[r] ? parseLayoutToken(this.layout[r][c]) : null;
+                const tile = fixed || this._spawnTile();
+                this.cells[r][c] = tile.value;
+                this.kinds[r][c] = tile.kind;
+            }
+        }
+    }
+
+    // start a new board: reseed (when a seed is given) and refill
+    reset(seed) {
+        if (seed !== undefined) this.reseed(seed);
+        this.fill();
+    }
+
+    inBounds(r, c) {
+        return r >= 0 && c >= 0 && r < this.rows && c < this.cols;
+    }
+
+    getValue(r, c) {
+        if (!this.inBounds(r, c)) return null;
+        return this.cells[r][c];
+    }
+
+    setValue(r, c, value) {
+        if (!this.inBounds(r, c)) return;
+        const n = value == null || value === '' ? null : Number(value);
+        this.cells[r][c] = Number.isFinite(n) ? n : null;
+    }
+
+    forEachCell(cb) {
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
+                cb(this.cells[r][c], r, c);
+            }
+        }
+    }
+
+    // copy of the current values (rows of numbers/null)
+    getCells() {
+        return this.cells.map((row) => row.slice());
+    }
+
+    setCells(cells) {
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
+                this.setValue(r, c, cells[r] ? cells[r][c] : null);
+            }
+        }
+    }
+
+    getKind(r, c) {
+        return this.kinds[r][c];
+    }
+
+    setKind(r, c, kind) {
+        this.kinds[r][c] = TILE_KINDS.includes(kind) ? kind : null;
+    }
+
+    getKinds() {
+        return this.kinds.map((row) => row.slice());
+    }
+
+    // null clears every special tile
+    setKinds(kinds) {
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
+                this.setKind(r, c, kinds && kinds[r] ? kinds[r][c] : null);
+            }
+        }
+    }
+
+    hasSpecialTiles() {
+        return this.kinds.some((row) => row.some(Boolean));
+    }
+
+    isWild(r, c) {
+        return this.kinds[r][c] === TILE.WILD;
+    }
+
+    // holds a tile a selection may pick up (not empty, a blocker or locked)
+    isSelectable(r, c) {
+        return (
+            this.inBounds(r, c) && this.cells[r][c] != null && isSelectableKind(this.kinds[r][c])
+        );
+    }
+
+    isAdjacent(r1, c1, r2, c2) {
+        return Math.abs(r1 - r2) + Math.abs(c1 - c2) === 1;
+    }
+
+    // recipes under which all of these values may chain together
+    recipesFor(values) {
+        return this.recipes.filter((recipe) => recipeAccepts(recipe, values));
+    }
+
+    // selection connectivity: some recipe accepts every value in the chain
+    canChain(values) {
+        return this.recipes.some((recipe) => recipeAccepts(recipe, values));
+    }
+
+    // values of the numbered cells of a path; wildcards fit any chain and are left out
+    _pathValues(path) {
+        return path
+            .filter((p) => !this.isWild(p.r, p.c))
+            .map((p) => Number(this.getValue(p.r, p.c)));
+    }
+
+    // fewest cells a recipe needs
+    _minLength(recipe) {
+        return Math.max(this.minCollectLen, recipe.minLength);
+    }
+
+    /**
+     * Decide what adding (r,c) to a selection path would do.
+     * Returns 'backtrack' when (r,c) is the previous entry, 'extend' when the cell may be
+     * appended, or null when the move is not allowed.
+     */
+    canExtend(path, r, c) {
+        if (!path || path.length === 0) return null;
+        // backtrack (allow undoing the last selection)
+        if (path.length >= 2) {
+            const prev = path[path.length - 2];
+            if (prev.r === r && prev.c === c) return 'backtrack';
+        }
+
+        // ignore if already in path
+        if (path.some((s) => s.r === r && s.c === c)) return null;
+
+        // the chain plus the candidate must still fit one of the recipes
+        if (!this.isSelectable(r, c)) return null;
+        const candidate = this.isWild(r, c) ? [] : [Number(this.getValue(r, c))];
+        if (!this.canChain(this._pathValues(path).concat(candidate))) return null;
+
+        // allow adding if the cell is adjacent to ANY selected cell (not just last)
+        const adjacentToAny = path.some((s) => this.isAdjacent(s.r, s.c, r, c));
+        if (!adjacentToAny) return null;
+
+        return 'extend';
+    }
+
+    // true when the whole path could have been built step by step under the selection rules
+    isValidPath(path) {
+        if (!path || path.length === 0) return false;
+        if (!this.isSelectable(path[0].r, path[0].c)) return false;
+        for (let i = 1; i < path.length; i++) {
+            if (this.canExtend(path.slice(0, i), path[i].r, path[i].c) !== 'extend') return false;
+        }
+        return true;
+    }
+
+    /**
+     * Resulting merged value for a path, or null when the path does not merge. The first
+     * recipe accepting the path values, its length and its sum decides the result.
+     */
+    resolveMerge(path) {
+        const resolved = this._resolvePath(path);
+        return resolved ? resolved.result : null;
+    }
+
+    // { result, sum } for a path; wildcards count as the chain value (or, for mixed recipes,
+    // any member), picking the biggest legal result. A path needs at least one numbered cell.
+    _resolvePath(path) {
+        if (!path || path.length < this.minCollectLen) return null;
+        const vals = this._pathValues(path);
+        if (vals.length === 0 || vals.some((v) => !Number.isFinite(v))) return null;
+        const base = vals.reduce((acc, v) => acc + v, 0);
+        const wilds = path.length - vals.length;
+        for (let recipe of this.recipesFor(vals)) {
+            if (path.length < this._minLength(recipe)) continue;
+            const options = recipe.members === 'same' ? [vals[0]] : recipe.members;
+            let best = null;
+            for (let extra of wildSums(options, wilds)) {
+                const result = recipeResult(recipe, base + extra, this.values);
+                if (result != null && (!best || result > best.result))
+                    best = { result, sum: base + extra };
+            }
+            if (best) return best;
+        }
+        return null;
+    }
+
+    // clear the 3x3 area around each bomb (bombs caught in a blast go off too); cells in skip
+    // (r * cols + c) are left alone. Blockers withstand blasts and locked tiles only lose
+    // their lock (added to unlocked), like next to a merge. Returns the cleared cells with
+    // what they held.
+    _detonate(bombs, skip, unlocked = []) {
+        const bombed = [];
+        const queue = bombs.slice();
+        while (queue.length) {
+            const b = queue.shift();
+            for (let r = b.r - 1; r <= b.r + 1; r++) {
+                for (let c = b.c - 1; c <= b.c + 1; c++) {
+                    if (!this.inBounds(r, c) || skip.has(r * this.cols + c)) continue;
+                    const value = this.cells[r][c];
+                    const kind = this.kinds[r][c];
+                    if (value == null && kind == null) continue;
+                    if (kind === TILE.BLOCKER) continue;
+                    if (kind === TILE.LOCKED) {
+                        this.kinds[r][c] = null;
+                        unlocked.push({ r, c });
+                        continue;
+                    }
+                    bombed.push({ r, c, value, kind });
+                    if (kind === TILE.BOMB) queue.push({ r, c });
+                    this.cells[r][c] = null;
+                    this.kinds[r][c] = null;
+                }
+            }
+        }
+        return bombed;
+    }
+
+    /**
+     * Deal the movable tiles (blockers and locked tiles stay put) into new cells until a move
+     * exists; after maxAttempts failed shuffles the tiles are rerolled instead. Returns
+     * { moves: [{ from, to }], rerolled } or null (board untouched) when nothing playable
+     * turned up.
+     */
+    shuffle(maxAttempts = 30) {
+        const slots = [];
+        this.forEachCell((v, r, c) => {
+            if (v != null && !isFixedKind(this.kinds[r][c])) slots.push({ r, c });
+        });
+        const tiles = slots.map((p) => ({
+            value: this.cells[p.r][p.c],
+            kind: this.kinds[p.r][p.c],
+            from: p,
+        }));
+        const place = (p, tile) => {
+            this.cells[p.r][p.c] = tile.value;
+            this.kinds[p.r][p.c] = tile.kind;
+        };
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            // Fisher-Yates on the board generator, so shuffles replay with the seed
+            const order = tiles.slice();
+            for (let i = order.length - 1; i > 0; i--) {
+                const j = Math.floor(this.rng.next() * (i + 1));
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+            slots.forEach((p, i) => place(p, order[i]));
+            if (this.hasPossibleMove())
+                return {
+                    moves: slots.map((p, i) => ({ from: order[i].from, to: p })),
+                    rerolled: false,
+                };
+        }
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            slots.forEach((p) => place(p, this._spawnTile()));
+            if (this.hasPossibleMove()) return { moves: [], rerolled: true };
+        }
+        tiles.forEach((t) => place(t.from, t));
+        return null;
+    }
+
+    // a gold tile that a single tap may collect
+    isCollectible(r, c) {
+        return this.isSelectable(r, c) && !this.isWild(r, c) && this.cells[r][c] === this.goldValue;
+    }
+
+    /**
+     * Collect (remove) a gold tile; a gold bomb still goes off. Returns a merge-shaped diff
+     * { path, target: null, cleared, sum, result: null, collected, bombed, unlocked } or null
+     * when the cell cannot be collected.
+     */
+    collectAt(r, c) {
+        if (!this.isCollectible(r, c)) return null;
+        const value = this.cells[r][c];
+        const bombs = this.kinds[r][c] === TILE.BOMB ? [{ r, c }] : [];
+        const unlocked = [];
+        const bombed = this._detonate(bombs, new Set([r * this.cols + c]), unlocked);
+        this.cells[r][c] = null;
+        this.kinds[r][c] = null;
+        return {
+            path: [{ r, c }],
+            target: null,
+            cleared: [{ r, c }],
+            sum: value,
+            result: null,
+            collected: value,
+            bombed,
+            unlocked,
+        };
+    }
+
+    _firstCollectible() {
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) if (this.isCollectible(r, c)) return { r, c };
+        }
+        return null;
+    }
+
+    // locked tiles next to any path cell come free
+    _unlockAround(path) {
+        const unlocked = [];
+        for (let p of path) {
+            for (let [r, c] of [
+                [p.r - 1, p.c],
+                [p.r + 1, p.c],
+                [p.r, p.c - 1],
+                [p.r, p.c + 1],
+            ]) {
+                if (!this.inBounds(r, c) || this.kinds[r][c] !== TILE.LOCKED) continue;
+                this.kinds[r][c] = null;
+                unlocked.push({ r, c });
+            }
+        }
+        return unlocked;
+    }
+
+    /**
+     * Merge a path into its last cell. The last cell takes the result value and every other
+     * cell is emptied; bombs in the path clear their 3x3 area (except blockers; locked tiles
+     * in it unlock) and locked tiles next to the path unlock. Returns
+     * { path, target, cleared, sum, result, bombed, unlocked } or null when the path is not a
+     * legal merge (the board is left untouched).
+     *  - bombed: [{ r, c, value, kind }] cells cleared by bombs
+     *  - unlocked: [{ r, c }] locked tiles that came free
+     */
+    applyMerge(path) {
+        if (!this.isValidPath(path)) return null;
+        const resolved = this._resolvePath(path);
+        if (!resolved) return null;
+        const { result, sum } = resolved;
+        const target = path[path.length - 1];
+        const inPath = new Set(path.map((p) => p.r * this.cols + p.c));
+        const bombs = path.filter((p) => this.kinds[p.r][p.c] === TILE.BOMB);
+        const unlocked = [];
+        const bombed = this._detonate(bombs, inPath, unlocked);
+        unlocked.push(...this._unlockAround(path));
+        const cleared = [];
+        for (let p of path) {
+            this.kinds[p.r][p.c] = null;
+            if (p === target) continue;
+            this.cells[p.r][p.c] = null;
+            cleared.push({ r: p.r, c: p.c });
+        }
+        this.cells[target.r][target.c] = result;
+        return {
+            path: path.map((p) => ({ r: p.r, c: p.c })),
+            target: { r: target.r, c: target.c },
+            cleared,
+            sum,
+            result,
+            bombed,
+            unlocked,
+        };
+    }
+
+    /**
+     * Apply gravity and refill. Tiles fall to the bottom of their column, passing blockers
+     * and locked tiles (which keep their slots), and the emptied top slots receive weighted
+     * random tiles (or stay empty with refill: false). Returns the diff for the view:
+     *  - moves: [{ c, from, to, value, kind }] tiles that changed row
+     *  - spawns: [{ r, c, value, kind }] new tiles entering from above
+     */
+    collapse({ refill = true } = {}) {
+        const moves = [];
+        const spawns = [];
+        for (let c = 0; c < this.cols; c++) {
+            const slots = [];
+            for (let r = 0; r < this.rows; r++) if (!isFixedKind(this.kinds[r][c])) slots.push(r);
+            const existing = [];
+            for (let r of slots) {
+                const v = this.cells[r][c];
+                if (v != null) existing.push({ r, value: v, kind: this.kinds[r][c] });
+            }
+            const emptyCount = slots.length - existing.length;
+            const newTiles = Array.from({ length: emptyCount }, () =>
+                refill ? this._spawnTile() : { value: null, kind: null }
+            );
+
+            newTiles.forEach((tile, i) => {
+                const r = slots[i];
+                this.cells[r][c] = tile.value;
+                this.kinds[r][c] = tile.kind;
+                if (refill) spawns.push({ r, c, value: tile.value, kind: tile.kind });
+            });
+            existing.forEach((src, i) => {
+                const to = slots[emptyCount + i];
+                this.cells[to][c] = src.value;
+                this.kinds[to][c] = src.kind;
+                if (src.r !== to)
+                    moves.push({ c, from: src.r, to, value: src.value, kind: src.kind });
+            });
+        }
+        return { moves, spawns };
+    }
+
+    // connected component of cells chaining under one recipe starting at (r,c); marks visited.
+    // Wildcards join (unless wilds is false) but are never marked: several components may
+    // share one.
+    _component(recipe, r, c, visited, wilds = true) {
+        const val = this.cells[r][c];
+        const q = [[r, c]];
+        const comp = [];
+        const seenWild = new Set();
+        visited[r][c] = true;
+        while (q.length) {
+            const [cr, cc] = q.shift();
+            const wild = this.isWild(cr, cc);
+            comp.push({ r: cr, c: cc, v: Number(this.cells[cr][cc]), wild });
+            const neighbors = [
+                [cr - 1, cc],
+                [cr + 1, cc],
+                [cr, cc - 1],
+                [cr, cc + 1],
+            ];
+            for (let [nr, nc] of neighbors) {
+                if (!this.isSelectable(nr, nc)) continue;
+                if (this.isWild(nr, nc)) {
+                    if (!wilds || seenWild.has(nr * this.cols + nc)) continue;
+                    seenWild.add(nr * this.cols + nc);
+                    q.push([nr, nc]);
+                    continue;
+                }
+                if (visited[nr][nc]) continue;
+                const nv = this.cells[nr][nc];
+                if (recipeAccepts(recipe, [Number(val), Number(nv)])) {
+                    visited[nr][nc] = true;
+                    q.push([nr, nc]);
+                }
+            }
+        }
+        return comp;
+    }
+
+    // call cb(recipe, comp) for every recipe component large enough to merge; stops early
+    // when cb returns a truthy value and returns that value. Components grow from numbered
+    // cells only; wilds = false keeps wildcards out of them.
+    _eachComponent(cb, wilds = true) {
+        for (let recipe of this.recipes) {
+            const visited = Array.from({ length: this.rows }, () => Array(this.cols).fill(false));
+            for (let r = 0; r < this.rows; r++) {
+                for (let c = 0; c < this.cols; c++) {
+                    if (visited[r][c]) continue;
+                    const v = this.cells[r][c];
+                    if (
+                        !this.isSelectable(r, c) ||
+                        this.isWild(r, c) ||
+                        !recipeAccepts(recipe, [Number(v)])
+                    ) {
+                        visited[r][c] = true;
+                        continue;
+                    }
+                    const comp = this._component(recipe, r, c, visited, wilds);
+                    if (comp.length < this._minLength(recipe)) continue;
+                    const found = cb(recipe, comp);
+                    if (found) return found;
+                }
+            }
+        }
+        return null;
+    }
+
+    // true when some choice of cells from the component (enough of them) has a legal sum
+    _componentCanMerge(recipe, comp) {
+        const minLen = this._minLength(recipe);
+        const legal = recipeSums(recipe, this.values).filter(
+            (sum) => recipeResult(recipe, sum, this.values) != null
+        );
+        if (legal.length === 0) return false;
+        const maxSum = Math.max(...legal);
+        // wildcards count as the seed value (the first cell is never wild) or any member
+        const wildValues = recipe.members === 'same' ? [comp[0].v] : recipe.members;
+        // 0/1 knapsack over the cells: reachable (count, sum, has a numbered cell) states
+        let states = new Set([0]);
+        const key = (k, sum, numbered) => (k * (maxSum + 1) + sum) * 2 + numbered;
+        for (let cell of comp) {
+            const next = new Set(states);
+            for (let st of states) {
+                const had = st % 2;
+                const k = Math.floor(st / 2 / (maxSum + 1));
+                const numbered = cell.wild ? had : 1;
+                for (let v of cell.wild ? wildValues : [cell.v]) {
+                    const sum = (Math.floor(st / 2) % (maxSum + 1)) + v;
+                    if (sum > maxSum) continue;
+                    if (numbered && k + 1 >= minLen && legal.includes(sum)) return true;
+                    next.add(key(k + 1, sum, numbered));
+                }
+            }
+            states = next;
+        }
+        return false;
+    }
+
+    // Returns true when there exists at least one valid selectable group/move
+    // (collecting a gold tile counts as a move); see Solver.js
+    hasPossibleMove() {
+        return new MoveSolver(this).hasMove();
+    }
+
+    /**
+     * Groups that merge on their own (autoMerge cascades): every recipe component whose cells
+     * together form a legal merge. Paths are disjoint and in drag order, starting from the
+     * top-left cell of the group, so the last cell is the merge target. Wildcards never merge
+     * on their own, they wait for the player.
+     */
+    findAutoMerges() {
+        const taken = new Set();
+        const paths = [];
+        this._eachComponent((recipe, comp) => {
+            // components are gathered breadth-first, which is already a valid drag order
+            if (comp.some((p) => taken.has(p.r * this.cols + p.c))) return null;
+            const path = comp.map((p) => ({ r: p.r, c: p.c }));
+            if (this.resolveMerge(path) == null) return null;
+            path.forEach((p) => taken.add(p.r * this.cols + p.c));
+            paths.push(path);
+            return null;
+        }, false);
+        return paths;
+    }
+
+    /**
+     * Best move as a drag-ordered path of {r,c} (a one-cell path collects a gold tile), or
+     * null when there is none.
+     * options: see MoveSolver (e.g. scoring rules to rank moves by)
+     */
+    findHintMove(options = {}) {
+        const move = new MoveSolver(this, options).bestMove();
+        return move ? move.path : null;
+    }
+}
@@ -0,0 +1,201 @@
+// Headless checks of the board rules: merging, gravity and seeded refills.
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BoardModel } from './BoardModel.js';
+import { MoveSolver } from './Solver.js';
+import { TILE } from './Tiles.js';
+
+const at = (r, c) => ({ r, c });
+
+test('a chain of equal tiles merges into its last cell', () => {
+    const model = new BoardModel(3, 3, {
+        cells: [
+            [1, 5, 10],
+            [1, 5, 10],
+            [1, 1, 1],
+        ],
+    });
+    const merge = model.applyMerge([at(0, 0), at(1, 0), at(2, 0), at(2, 1), at(2, 2)]);
+    assert.equal(merge.result, 5);
+    assert.deepEqual(merge.target, at(2, 2));
+    assert.equal(merge.cleared.length, 4);
+    assert.deepEqual(model.getCells(), [
+        [null, 5, 10],
+        [null, 5, 10],
+        [null, null, 5],
+    ]);
+});
+
+test('merge results follow the ladder and the coin recipe', () => {
+    const model = new BoardModel(2, 3, {
+        cells: [
+            [25, 25, 1],
+            [10, 10, 5],
+        ],
+    });
+    assert.equal(model.applyMerge([at(0, 0), at(0, 1)]).result, 50);
+    // 5 + 10 + 10 is a 25
+    assert.equal(model.applyMerge([at(1, 2), at(1, 1), at(1, 0)]).result, 25);
+});
+
+test('an illegal path leaves the board untouched', () => {
+    const cells = [
+        [1, 5],
+        [10, 1],
+    ];
+    const model = new BoardModel(2, 2, { cells });
+    // diagonal neighbours do not chain, and 1 + 5 is not a merge
+    assert.equal(model.applyMerge([at(0, 0), at(1, 1)]), null);
+    assert.equal(model.applyMerge([at(0, 0), at(0, 1)]), null);
+    assert.deepEqual(model.getCells(), cells);
+});
+
+test('collapse drops tiles to the bottom and reports the moves', () => {
+    const model = new BoardModel(3, 2, {
+        cells: [
+            [5, 1],
+            [null, 10],
+            [null, null],
+        ],
+    });
+    const { moves, spawns } = model.collapse({ refill: false });
+    assert.deepEqual(model.getCells(), [
+        [null, null],
+        [null, 1],
+        [5, 10],
+    ]);
+    assert.deepEqual(spawns, []);
+    assert.deepEqual(
+        moves.map(({ c, from, to }) => ({ c, from, to })),
+        [
+            { c: 0, from: 0, to: 2 },
+            { c: 1, from: 0, to: 1 },
+            { c: 1, from: 1, to: 2 },
+        ]
+    );
+});
+
+test('collapse refills every empty slot above the fallen tiles', () => {
+    const model = new BoardModel(3, 3, {
+        seed: 1,
+        cells: [
+            [1, 1, 1],
+            [1, 1, 5],
+            [10, 10, 10],
+        ],
+    });
+    // five 1s make a 5 in the middle and leave four holes
+    model.applyMerge([at(0, 2), at(0, 1), at(0, 0), at(1, 0), at(1, 1)]);
+    const { spawns } = model.collapse();
+    assert.equal(spawns.length, 4);
+    for (let s of spawns) assert.ok(model.values.includes(s.value));
+    model.forEachCell((v) => assert.notEqual(v, null));
+});
+
+test('blockers keep their slot while tiles fall past them', () => {
+    const model = new BoardModel(3, 1, {
+        cells: [[5], [null], [null]],
+        kinds: [[null], [TILE.BLOCKER], [null]],
+    });
+    model.collapse({ refill: false });
+    assert.deepEqual(model.getCells(), [[null], [null], [5]]);
+    assert.equal(model.getKind(1, 0), TILE.BLOCKER);
+});
+
+test('the same seed deals the same board and the same refills', () => {
+    const play = (seed) => {
+        const model = new BoardModel(6, 6, { seed });
+        const boards = [model.getCells()];
+        for (let i = 0; i < 5; i++) {
+            const path = model.findHintMove();
+            if (!path) break;
+            model.applyMerge(path);
+            model.collapse();
+            boards.push(model.getCells());
+        }
+        return boards;
+    };
+    assert.deepEqual(play('daily:2026-10-19'), play('daily:2026-10-19'));
+    assert.notDeepEqual(play(1), play(2));
+});
+
+test('a clone continues the generator from the same position', () => {
+    const model = new BoardModel(4, 4, { seed: 42 });
+    model.pickWeighted();
+    const copy = model.clone();
+    const draws = (m) => Array.from({ length: 20 }, () => m.pickWeighted());
+    assert.deepEqual(draws(copy), draws(model));
+});
+
+test('a bomb blast spares blockers and only unlocks locked tiles', () => {
+    const model = new BoardModel(3, 3, {
+        cells: [
+            [1, null, 25],
+            [5, 5, 10],
+            [1, 1, 1],
+        ],
+        kinds: [
+            [null, TILE.BLOCKER, TILE.LOCKED],
+            [null, TILE.BOMB, null],
+            [null, null, null],
+        ],
+    });
+    const merge = model.applyMerge([at(1, 1), at(1, 0)]);
+    assert.equal(merge.result, 10);
+    assert.deepEqual(
+        merge.bombed.map(({ r, c }) => at(r, c)),
+        [at(0, 0), at(1, 2), at(2, 0), at(2, 1), at(2, 2)]
+    );
+    assert.deepEqual(merge.unlocked, [at(0, 2)]);
+    assert.equal(model.getKind(0, 1), TILE.BLOCKER);
+    assert.equal(model.getValue(0, 2), 25);
+    assert.ok(model.isSelectable(0, 2));
+
+    // the freed tile falls like any other; the blocker keeps its slot
+    model.collapse({ refill: false });
+    assert.equal(model.getKind(0, 1), TILE.BLOCKER);
+    assert.equal(model.getValue(2, 2), 25);
+});
+
+test('a collected gold bomb unlocks the locked tiles in its blast', () => {
+    const model = new BoardModel(2, 2, {
+        cells: [
+            [500, null],
+            [10, 5],
+        ],
+        kinds: [
+            [TILE.BOMB, TILE.BLOCKER],
+            [TILE.LOCKED, null],
+        ],
+    });
+    const collect = model.collectAt(0, 0);
+    assert.equal(collect.collected, 500);
+    assert.deepEqual(
+        collect.bombed.map(({ r, c }) => at(r, c)),
+        [at(1, 1)]
+    );
+    assert.deepEqual(collect.unlocked, [at(1, 0)]);
+    assert.equal(model.getKind(0, 1), TILE.BLOCKER);
+    assert.equal(model.getValue(1, 0), 10);
+});
+
+test('the solver weighs blasts on a copy of the board', () => {
+    const cells = [
+        [1, null, 25],
+        [5, 5, 10],
+        [1, 1, 1],
+    ];
+    const kinds = [
+        [null, TILE.BLOCKER, TILE.LOCKED],
+        [null, TILE.BOMB, null],
+        [null, null, null],
+    ];
+    const model = new BoardModel(3, 3, { cells, kinds });
+    const move = new MoveSolver(model).bestMove();
+    assert.ok(move);
+    assert.deepEqual(model.getCells(), cells);
+    assert.deepEqual(model.getKinds(), kinds);
+});
@@ -0,0 +1,249 @@
+// Headless autoplayer for balance testing: plays whole games on a BoardModel with the same
+// rules as the Grid (merge recipes, special tiles, collects, gravity, autoMerge cascades, free
+// shuffles when stuck, including a board dealt without moves) and reports what happened.
+// Renderer-free; simulate.js runs it from the command line.
+
+import { BoardModel } from './BoardModel.js';
+import { MoveSolver } from './Solver.js';
+import { ScoreKeeper } from './Scoring.js';
+import { SeededRandom, hashSeed } from './Random.js';
+import { DEFAULT_RECIPES } from './MergeRecipes.js';
+import { DEFAULT_SPECIALS } from './Tiles.js';
+
+export const DEFAULT_BOT = {
+    rows: 8,
+    cols: 8,
+    values: [1, 5, 10, 25, 50, 100, 500],
+    weights: [0.36, 0.18, 0.12, 0.06, 0.03, 0.01, 0],
+    recipes: DEFAULT_RECIPES, // merge recipe table, see MergeRecipes.js
+    specials: DEFAULT_SPECIALS, // { wild, bomb } spawn chances, see Tiles.js
+    strategy: 'greedy',
+    shuffles: 3, // as in endless mode
+    autoMerge: false,
+    maxMoves: 1000, // games still going after this many moves end with 'move-limit'
+    moveTime: 4000, // ms between moves; below scoring.comboWindow the bot plays combos
+    scoring: {},
+    solver: {}, // MoveSolver options
+};
+
+const solverFor = (model, options) =>
+    new MoveSolver(model, { ...options.solver, scoring: options.scoring });
+
+// top moves a lookahead compares, and how much the best follow-up counts
+const LOOKAHEAD_WIDTH = 8;
+const LOOKAHEAD_DISCOUNT = 0.5;
+
+/**
+ * Move pickers: (model, context) -> a move from MoveSolver.moves() or null.
+ * context: { rng (strategy's own generator), options (game options) }
+ */
+export const STRATEGIES = {
+    // any legal move
+    random(model, { rng, options }) {
+        const moves = solverFor(model, options).moves();
+        return moves.length ? moves[Math.floor(rng.next() * moves.length)] : null;
+    },
+
+    // the most points right now
+    greedy(model, { options }) {
+        let best = null;
+        for (let move of solverFor(model, options).moves())
+            if (!best || move.points > best.points) best = move;
+        return best;
+    },
+
+    // points now plus the best follow-up on the settled board; refills are unknown to the
+    // bot, so it looks at the board with the emptied cells left empty
+    lookahead(model, { options }) {
+        const moves = solverFor(model, options)
+            .moves()
+            .sort((a, b) => b.points - a.points)
+            .slice(0, LOOKAHEAD_WIDTH);
+        let best = null;
+        for (let move of moves) {
+            const board = model.clone();
+            applyMove(board, move);
+            board.collapse({ refill: false });
+            let next = 0;
+            for (let reply of solverFor(board, options).moves())
+                next = Math.max(next, reply.points);
+            const rank = move.points + LOOKAHEAD_DISCOUNT * next;
+            if (!best || rank > best.rank) best = { move, rank };
+        }
+        return best ? best.move : null;
+    },
+};
+
+function applyMove(model, move) {
+    return move.result == null
+        ? model.collectAt(move.path[0].r, move.path[0].c)
+        : model.applyMerge(move.path);
+}
+
+/**
+ * Play one game. options: see DEFAULT_BOT; seed (number|string) picks the board sequence,
+ * the strategy draws from its own generator. Returns
+ * { seed, strategy, score, moves, merges, collects, cascades, shufflesUsed, goldCreated,
+ *   goldCollected, biggestMerge, longestPath, end } with end 'no-moves' (after every shuffle),
+ * 'shuffle-failed' (no shuffle found a move) or 'move-limit'.
+ */
+export function playGame(options = {}) {
+    const o = { ...DEFAULT_BOT, ...options };
+    const pick = STRATEGIES[o.strategy];
+    if (!pick) throw new Error(`Unknown strategy "${o.strategy}"`);
+    const seed = hashSeed(o.seed ?? 0);
+    const model = new BoardModel(o.rows, o.cols, {
+        values: o.values,
+        weights: o.weights,
+        recipes: o.recipes,
+        specials: o.specials,
+        goldValue: o.scoring.goldValue,
+        seed,
+    });
+    const keeper = new ScoreKeeper(o.scoring);
+    const context = { rng: new SeededRandom(`${seed}:${o.strategy}`), options: o };
+    const game = {
+        seed,
+        strategy: o.strategy,
+        score: 0,
+        moves: 0,
+        merges: 0,
+        collects: 0,
+        cascades: 0,
+        shufflesUsed: 0,
+        goldCreated: 0,
+        goldCollected: 0,
+        biggestMerge: 0,
+        longestPath: 0,
+        end: 'move-limit',
+    };
+    const scoreMerge = (merge, time, cascadeStep = 0) => {
+        const ev = keeper.scoreMerge({
+            result: merge.result,
+            length: merge.path.length,
+            time,
+            cascadeStep,
+        });
+        game.score += ev.points;
+        game.merges++;
+        game.biggestMerge = Math.max(game.biggestMerge, merge.result);
+        if (merge.result === model.goldValue) game.goldCreated++;
+    };
+
+    while (game.moves < o.maxMoves) {
+        // like the Grid, a stuck board (the dealt one too) uses a free shuffle first
+        if (!model.hasPossibleMove()) {
+            if (game.shufflesUsed >= o.shuffles) {
+                game.end = 'no-moves';
+                break;
+            }
+            if (!model.shuffle()) {
+                game.end = 'shuffle-failed';
+                break;
+            }
+            game.shufflesUsed++;
+            continue;
+        }
+        const move = pick(model, context);
+        const time = game.moves * o.moveTime;
+        const diff = move && applyMove(model, move);
+        // strategies only pick from the solver's moves, so this means a rules mismatch
+        if (!diff) throw new Error(`Strategy "${o.strategy}" picked an illegal move`);
+        game.moves++;
+        if (diff.collected != null) {
+            game.score += keeper.scoreCollect({ value: diff.collected }).points;
+            game.collects++;
+            game.goldCollected++;
+        } else {
+            scoreMerge(diff, time);
+            game.longestPath = Math.max(game.longestPath, diff.path.length);
+        }
+        model.collapse();
+        // autoMerge rounds, as the Grid plays them after each collapse
+        for (let step = 1; o.autoMerge; step++) {
+            const merges = model
+                .findAutoMerges()
+                .map((path) => model.applyMerge(path))
+                .filter(Boolean);
+            if (merges.length === 0) break;
+            merges.forEach((m) => scoreMerge(m, time, step));
+            game.cascades++;
+            model.collapse();
+        }
+    }
+    return game;
+}
+
+/**
+ * Play games back to back; game i uses the seed '<seed>:<i>'. onGame(result, i) is called
+ * after each game (progress output). Returns the results.
+ */
+export function simulate({ games = 100, seed = 1, onGame = null, ...options } = {}) {
+    const results = [];
+    for (let i = 0; i < games; i++) {
+        const result = playGame({ ...options, seed: `${seed}:${i}` });
+        results.push(result);
+        if (onGame) onGame(result, i);
+    }
+    return results;
+}
+
+// min / max / mean / percentiles of a list of numbers
+function distribution(list) {
+    if (list.length === 0) return null;
+    const sorted = list.slice().sort((a, b) => a - b);
+    const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+    const mean = sorted.reduce((a, b) => a + b, 0) / sorted.length;
+    return {
+        min: sorted[0],
+        p10: at(0.1),
+        median: at(0.5),
+        p90: at(0.9),
+        max: sorted[sorted.length - 1],
+        mean: Math.round(mean * 100) / 100,
+    };
+}
+
+/**
+ * Aggregate simulate() results: score and game length distributions, gold tiles created and
+ * collected per game, the share of games that made any gold, and counts per game-over cause.
+ */
+export function summarize(results) {
+    const per = (key) => distribution(results.map((g) => g[key]));
+    const ends = {};
+    for (let g of results) ends[g.end] = (ends[g.end] || 0) + 1;
+    const withGold = results.filter((g) => g.goldCreated > 0).length;
+    return {
+        games: results.length,
+        score: per('score'),
+        moves: per('moves'),
+        goldCreated: per('goldCreated'),
+        goldCollected: per('goldCollected'),
+        gamesWithGold: results.length ? withGold / results.length : 0,
+        shufflesUsed: per('shufflesUsed'),
+        biggestMerge: per('biggestMerge'),
+        ends,
+    };
+}
+
+const CSV_COLUMNS = [
+    'seed',
+    'strategy',
+    'score',
+    'moves',
+    'merges',
+    'collects',
+    'cascades',
+    'shufflesUsed',
+    'goldCreated',
+    'goldCollected',
+    'biggestMerge',
+    'longestPath',
+    'end',
+];
+
+// one row per game, with a header
+export function toCSV(results) {
+    const rows = results.map((g) => CSV_COLUMNS.map((key) => g[key]).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
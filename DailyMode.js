@@ -0,0 +1,206 @@
+import { Subject } from 'rxjs';
+import { Grid } from './Grid.js';
+import { hashSeed } from './Random.js';
+import { isValidState } from './SaveGame.js';
+import { TILE } from './Tiles.js';
+import { t } from './I18n.js';
+import { getStorage } from './Storage.js';
+
+// Daily challenge: one board per calendar day, the same for every player. The seed comes from
+// the date, and every refill is drawn by BoardModel.pickWeighted from the seeded generator, so
+// the starting board and the spawn sequence match for everyone who plays the same moves.
+//
+// One attempt per day: the run is stored as it goes (a reload continues it, Restart is not
+// offered) and once it ends its result is kept, so the day shows that result instead of a new
+// board. Results carry an emoji picture of the final board for sharing.
+
+export const DAILY_KEY = 'cashcow.daily';
+export const DAILY_VERSION = 1;
+// days kept in storage, newest first
+const KEEP_DAYS = 30;
+
+// emoji per tile value for the shared board picture; wild tiles and gaps have their own
+const EMOJI = { 1: '⬜', 5: '🟦', 10: '🟩', 25: '🟧', 50: '🟥', 100: '🟪', 500: '🟨' };
+const EMOJI_WILD = '🌈';
+const EMOJI_EMPTY = '⬛';
+const EMOJI_OTHER = '🟫';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// 'YYYY-MM-DD' of the player's calendar day, so the board changes at local midnight
+export function dailyId(date = new Date()) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function dailySeed(id = dailyId()) {
+    return hashSeed(`daily:${id}`);
+}
+
+// board for a day: the plain 8x8 endless rules without undo or restart
+export function createDailyGrid(id = dailyId(), options = {}) {
+    return new Grid(8, 8, {
+        undoLimit: 0,
+        shuffles: 3,
+        ...options,
+        seed: dailySeed(id),
+        mode: 'daily',
+        restartable: false,
+    });
+}
+
+// --- storage: { version, days: { [id]: { state } | { result } } } ---
+
+function loadDays(store) {
+    try {
+        const doc = JSON.parse(store.getItem(DAILY_KEY) || 'null');
+        if (!doc || doc.version !== DAILY_VERSION || typeof doc.days !== 'object') return {};
+        return doc.days || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveDays(store, days) {
+    // ids sort by date, so the newest days are the last ones
+    const kept = Object.keys(days).sort().slice(-KEEP_DAYS);
+    const out = {};
+    for (let id of kept) out[id] = days[id];
+    try {
+        store.setItem(DAILY_KEY, JSON.stringify({ version: DAILY_VERSION, days: out }));
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * The stored attempt for a day: { result } once finished, { state } while in progress (a
+ * Grid.getState() to continue from), or null when it has not been started.
+ */
+export function loadDailyDay(id = dailyId(), storage) {
+    const store = getStorage(storage);
+    if (!store) return null;
+    const day = loadDays(store)[id];
+    if (!day || typeof day !== 'object') return null;
+    if (day.result && Number.isFinite(day.result.score)) return { result: day.result };
+    if (isValidState(day.state)) return { state: day.state };
+    return null;
+}
+
+function storeDay(id, day, storage) {
+    const store = getStorage(storage);
+    if (!store) return false;
+    const days = loadDays(store);
+    // a finished day is never reopened
+    if (days[id] && days[id].result) return false;
+    days[id] = day;
+    return saveDays(store, days);
+}
+
+// emoji rows of the board, top row first
+export function boardEmoji(model) {
+    const rows = [];
+    for (let r = 0; r < model.rows; r++) {
+        let row = '';
+        for (let c = 0; c < model.cols; c++) {
+            const value = model.getValue(r, c);
+            const kind = model.getKind(r, c);
+            if (kind === TILE.WILD) row += EMOJI_WILD;
+            else if (value == null || kind === TILE.BLOCKER) row += EMOJI_EMPTY;
+            else row += EMOJI[value] || EMOJI_OTHER;
+        }
+        rows.push(row);
+    }
+    return rows;
+}
+
+// what a finished day keeps and shares
+export function dailyResult(grid, id = dailyId()) {
+    const summary = grid.getGameSummary();
+    return {
+        id,
+        score: summary.score,
+        moves: summary.moves,
+        biggestMerge: summary.biggestMerge,
+        board: boardEmoji(grid.model),
+        finishedAt: Date.now(),
+    };
+}
+
+// text for sharing a result: title, one line of numbers and the board picture
+export function shareText(result) {
+    return [
+        t('daily.shareTitle', { date: result.id }),
+        t('daily.shareLine', {
+            score: result.score,
+            moves: t('daily.moves', { count: result.moves }),
+            merge: result.biggestMerge,
+        }),
+        '',
+        ...result.board,
+    ].join('\n');
+}
+
+/**
+ * Share through the system share sheet, or copy to the clipboard where there is none.
+ * Resolves to 'shared', 'copied' or 'failed' (also when the player dismisses the sheet).
+ */
+export async function shareResult(result) {
+    const text = shareText(result);
+    const nav = typeof navigator !== 'undefined' ? navigator : {};
+    try {
+        if (nav.share) {
+            await nav.share({ text });
+            return 'shared';
+        }
+        if (nav.clipboard && nav.clipboard.writeText) {
+            await nav.clipboard.writeText(text);
+            return 'copied';
+        }
+    } catch (e) {}
+    return 'failed';
+}
+
+/**
+ * Runs a day's attempt on a grid made by createDailyGrid: stores the progress after every
+ * resolved move and the result when the game ends, then emits it on finished$. Scripted
+ * sessions (replays) run with pointer input disabled and are not stored.
+ */
+export class DailyMode {
+    constructor(grid, id = dailyId(), storage) {
+        this.grid = grid;
+        this.id = id;
+        this._storage = storage;
+        // the day's result, once; completes when the mode is destroyed
+        this.finished$ = new Subject();
+        this._finished = false;
+
+        this._subs = [
+            grid.stateChanged$.subscribe((state) => {
+                if (grid.inputEnabled && !grid.gameOver$.getValue())
+                    storeDay(id, { state }, storage);
+            }),
+            // a settle checks for game over before publishing the state, so the final board
+            // is stored as the result only
+            grid.gameOver$.subscribe((over) => over && this._finish()),
+        ];
+        this._onDestroyed = () => this.destroy();
+        grid.once('destroyed', this._onDestroyed);
+    }
+
+    _finish() {
+        if (this._finished || !this.grid.inputEnabled) return;
+        this._finished = true;
+        const result = dailyResult(this.grid, this.id);
+        storeDay(this.id, { result }, this._storage);
+        this.finished$.next(result);
+    }
+
+    destroy() {
+        if (!this._subs) return;
+        this._subs.forEach((s) => s.unsubscribe());
+        this._subs = null;
+        this.grid.off('destroyed', this._onDestroyed);
+        this.finished$.complete();
+    }
+}
@@ -0,0 +1,57 @@
+// Checks of the daily challenge seed and the spoiler-free share text.
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dailyId, dailySeed, boardEmoji, shareText } from './DailyMode.js';
+import { BoardModel } from './BoardModel.js';
+import { TILE } from './Tiles.js';
+
+test('the daily id is the local calendar date', () => {
+    assert.equal(dailyId(new Date(2026, 0, 5, 23, 59)), '2026-01-05');
+    assert.equal(dailyId(new Date(2026, 11, 31, 0, 0)), '2026-12-31');
+});
+
+test('everyone gets the same seed on a day and a new one the next day', () => {
+    assert.equal(dailySeed('2026-10-19'), dailySeed('2026-10-19'));
+    assert.notEqual(dailySeed('2026-10-19'), dailySeed('2026-10-20'));
+    assert.ok(Number.isInteger(dailySeed('2026-10-19')));
+    // and so the same board
+    const deal = (id) => new BoardModel(6, 6, { seed: dailySeed(id) }).getCells();
+    assert.deepEqual(deal('2026-10-19'), deal('2026-10-19'));
+});
+
+test('the share grid shows one square per cell', () => {
+    const model = new BoardModel(2, 4, {
+        cells: [
+            [1, 5, 10, 25],
+            [null, 0, 500, 75],
+        ],
+        kinds: [
+            [null, null, null, TILE.BLOCKER],
+            [null, TILE.WILD, null, null],
+        ],
+    });
+    assert.deepEqual(boardEmoji(model), ['⬜🟦🟩⬛', '⬛🌈🟨🟫']);
+});
+
+test('the share text lists the day, the result and the board', () => {
+    const text = shareText({
+        id: '2026-10-19',
+        score: 12345,
+        moves: 1,
+        biggestMerge: 100,
+        board: ['⬜🟦', '🟩⬛'],
+    });
+    assert.equal(
+        text,
+        [
+            'Cash Cow Daily 2026-10-19',
+            'Score 12,345 · 1 move · best merge 100',
+            '',
+            '⬜🟦',
+            '🟩⬛',
+        ].join('\n')
+    );
+});
@@ -0,0 +1,64 @@
+import { Assets, BitmapFont, Cache } from 'pixi.js';
+
+// The bitmap font of the score and the tile numbers. It ships with the game in public/fonts
+// (desyrel.xml and its desyrel.png page), so it loads offline and in kiosks without reaching
+// any other host. When it cannot be loaded a bitmap font is generated from a system font under
+// the same name: BitmapText users (SquareWithText, the HUD) work the same with either.
+
+export const FONT_NAME = 'Desyrel';
+// relative to the site base (see loadGameFont's baseUrl)
+export const FONT_URL = 'fonts/desyrel.xml';
+// give up on the file after this long (ms) and use the generated font
+const LOAD_TIMEOUT = 8000;
+
+// look of the generated font; white so tints color it like the shipped one
+export const FALLBACK_FONT_STYLE = {
+    fontFamily: 'Arial, Helvetica, sans-serif',
+    fontWeight: 'bold',
+    fontSize: 64,
+    fill: '#ffffff',
+};
+
+const isInstalled = () => Cache.has(`${FONT_NAME}-bitmap`);
+
+// generate the stand-in font; digits and letters up front, other characters on first use
+export function installFallbackFont() {
+    if (isInstalled()) return;
+    BitmapFont.install({
+        name: FONT_NAME,
+        style: FALLBACK_FONT_STYLE,
+        chars: [['0', '9'], ['a', 'z'], ['A', 'Z'], ' :+-.,%!'],
+    });
+}
+
+/**
+ * Load the game font; never rejects.
+ * options: baseUrl (prefix of FONT_URL, e.g. Vite's BASE_URL), onProgress(0..1), timeout (ms)
+ * Resolves to 'bitmap' when the shipped font is in use, 'fallback' for the generated one.
+ */
+export async function loadGameFont({
+    baseUrl = '',
+    onProgress = null,
+    timeout = LOAD_TIMEOUT,
+} = {}) {
+    let timer = null;
+    try {
+        await Promise.race([
+            Assets.load(`${baseUrl}${FONT_URL}`, onProgress || undefined),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error('timed out')), timeout);
+            }),
+        ]);
+        // a server answering with something else (e.g. an index.html fallback) loads fine
+        // but installs no font
+        if (!isInstalled()) throw new Error('not a bitmap font');
+        return 'bitmap';
+    } catch (e) {
+        console.warn(`Bitmap font unavailable (${e.message}), using a generated one`);
+        installFallbackFont();
+        return 'fallback';
+    } finally {
+        clearTimeout(timer);
+        if (onProgress) onProgress(1);
+    }
+}
@@ -0,0 +1,46 @@
+import { filter } from 'rxjs/operators';
+
+// Event types of Grid.events$, a single stream for HUDs, sound, analytics and tutorials.
+// Every event is { type, ...payload }; cells are { r, c } and paths are in drag order.
+//
+//  selection-start      { r, c, path }
+//  selection-extend     { r, c, path }
+//  selection-backtrack  { r, c, path }          (r, c) is the cell that left the path
+//  selection-cancel     { path }                released or cleared without merging
+//  invalid-merge        { path }                released on a path that does not merge (no cancel)
+//  merge                { path, target, sum, result, cascadeStep }   cascadeStep 0 = player
+//  collect              { r, c, value }         gold tile collected
+//  collapse-start       { moves, spawns }       see BoardModel.collapse
+//  spawn                { tiles: [{ r, c, value, kind }] }
+//  collapse-end         {}
+//  shuffle              { shufflesLeft, rerolled }
+//  hint                 { path }
+//  restart              { seed }
+//  game-over            { score, message }
+
+export const GAME_EVENT = {
+    SELECTION_START: 'selection-start',
+    SELECTION_EXTEND: 'selection-extend',
+    SELECTION_BACKTRACK: 'selection-backtrack',
+    SELECTION_CANCEL: 'selection-cancel',
+    INVALID_MERGE: 'invalid-merge',
+    MERGE: 'merge',
+    COLLECT: 'collect',
+    COLLAPSE_START: 'collapse-start',
+    SPAWN: 'spawn',
+    COLLAPSE_END: 'collapse-end',
+    SHUFFLE: 'shuffle',
+    HINT: 'hint',
+    RESTART: 'restart',
+    GAME_OVER: 'game-over',
+};
+
+export const GAME_EVENT_TYPES = Object.values(GAME_EVENT);
+
+/**
+ * Operator keeping only events of the given types:
+ *   grid.events$.pipe(ofType(GAME_EVENT.MERGE, GAME_EVENT.COLLECT)).subscribe(...)
+ */
+export function ofType(...types) {
+    return filter((ev) => types.includes(ev.type));
+}
@@ -1,5 +1,14 @@
 import { Container, Graphics, Text, BlurFilter } from 'pixi.js';
 import { SquareWithText } from './SquareWithText.js';
+import { BoardModel } from './BoardModel.js';
+import { DEFAULT_RECIPES } from './MergeRecipes.js';
+import { UndoStack } from './UndoStack.js';
+import { ScoreKeeper, DEFAULT_SCORING } from './Scoring.js';
+import { SeededRandom, randomSeed } from './Random.js';
+import { emptyGameRecords } from './Stats.js';
+import { GAME_EVENT } from './GameEvents.js';
+import { getTheme } from './Themes.js';
+import { t, locale$, isRTL } from './I18n.js';
 import { gsap } from 'gsap';
 import {
     fromEventPattern,
@@ -22,6 +31,25 @@ export class Grid extends Container {
      *  - center (boolean) center the whole grid on (0,0)
      *  - textGenerator (fn(row,col) -> string)
      *  - squareOptions (object) options passed to SquareWithText
+     *  - autoMerge (boolean) after each collapse, groups that form legal merges resolve on
+     *    their own and collapse again until the board is stable (cascade$ emits each round)
+     *  - seed (number|string) seed for the board generator; random when omitted
+     *  - rng (object) custom generator with next() -> [0, 1); overrides seed
+     *  - mode (string) game mode name stored with saves (default 'endless')
+     *  - undoLimit (number) undo steps kept per game; 0 disables undo (default 20)
+     *  - recipes (object[]) merge recipe table, see MergeRecipes.js (default: equal values,
+     *    plus 5s and 10s mixing)
+     *  - scoring (object) overrides for the score rules, see DEFAULT_SCORING in Scoring.js
+     *  - minSquareSize / maxSquareSize (number) bounds for squareSize chosen by resize()
+     *  - boardLayout (Array<Array<number|string|null>>) fixed starting cells, re-applied on
+     *    restart; null entries are random, strings are special tiles (see Tiles.js)
+     *  - specials ({ wild, bomb }) chance of a refilled cell being a wildcard / bomb
+     *  - shuffles (number) free shuffles per game when a move leaves the board without legal
+     *    moves; game over only applies once they are used up (default 0)
+     *  - theme (string|object) color theme, see Themes.js; switch later with setTheme()
+     *  - glyphs (boolean) value shapes on the tiles; null follows the theme
+     *  - restartable (boolean) offer Restart after game over (default true); false for runs
+     *    limited to one attempt, restartGame() itself still works for replays
      */
     constructor(rows = 8, cols = 8, options = {}) {
         super();
@@ -34,82 +62,92 @@ export class Grid extends Container {
             autoMerge = false,
             values = [1, 5, 10, 25, 50, 100, 500],
             weights = [0.36, 0.18, 0.12, 0.06, 0.03, 0.01, 0],
+            recipes = DEFAULT_RECIPES,
+            scoring = {},
+            seed = randomSeed(),
+            rng = null,
+            mode = 'endless',
+            undoLimit = 20,
+            minSquareSize = 24,
+            maxSquareSize = 96,
+            boardLayout = null,
+            specials = {},
+            shuffles = 0,
+            theme = null,
+            glyphs = null,
+            restartable = true,
         } = options;
 
         this.rows = rows;
         this.cols = cols;
         this.squareSize = squareSize;
         this.gap = gap;
-
-        // use configured values & weights
-        this.values = values;
-        // normalize weights to length of values; if provided shorter/longer, normalize accordingly
-        let normalizedWeights =
-            weights && weights.length === values.length
-                ? weights.slice()
-                : (() => {
-                      // if weights length mismatches, create simple decreasing weights
-                      const w = new Array(values.length).fill(0).map((_, i) => values.length - i);
-                      return w;
-                  })();
-        // normalize to sum 1
-        const sumW = normalizedWeights.reduce((a, b) => a + b, 0) || 1;
-        normalizedWeights = normalizedWeights.map((w) => w / sumW);
-        this.weights = normalizedWeights;
+        this.center = center;
+        this.minSquareSize = minSquareSize;
+        this.maxSquareSize = maxSquareSize;
+        this.theme = getTheme(theme);
+        this.glyphs = glyphs;
+        this._squareOptions = squareOptions;
+        // 'portrait' keeps the Hint button above the board, 'landscape' puts it on the right
+        this.layout = 'portrait';
+        this._pendingResize = null;
+
+        // board rules and values live in a renderer-free model; this container only renders it
+        this.model = new BoardModel(rows, cols, {
+            values,
+            weights,
+            recipes,
+            minCollectLen: 2,
+            layout: boardLayout,
+            specials,
+            goldValue: scoring.goldValue ?? DEFAULT_SCORING.goldValue,
+            seed,
+            rng,
+        });
+        // cosmetic jitter (spawn offsets, drop durations) uses its own generator so animations
+        // never consume draws from the board sequence but still replay identically
+        this._fxRng = new SeededRandom(this.model.seed ?? seed);
+        // use configured values & (normalized) weights
+        this.values = this.model.values;
+        this.weights = this.model.weights;
 
         // helper: pick weighted random from array
-        this._pickWeighted = (arr, w) => {
-            if (!arr || arr.length === 0) return null;
-            if (!w || w.length !== arr.length) return arr[Math.floor(Math.random() * arr.length)];
-            const r = Math.random();
-            let acc = 0;
-            for (let i = 0; i < w.length; i++) {
-                acc += w[i];
-                if (r <= acc) return arr[i];
-            }
-            return arr[arr.length - 1];
-        };
+        this._pickWeighted = (arr, w) => this.model.pickWeighted(arr, w);
 
         // compute totals before placing cells so layout math can use them
-        const totalWidth = cols * squareSize + (cols - 1) * gap;
-        const totalHeight = rows * squareSize + (rows - 1) * gap;
+        this._computeTotals();
 
         this._cells = Array.from({ length: rows }, () => Array(cols).fill(null));
 
         for (let r = 0; r < rows; r++) {
             for (let c = 0; c < cols; c++) {
-                // pick initial cell value with weights
-                const text = this._pickWeighted(this.values, this.weights);
+                // initial cell value comes from the model's weighted fill
+                const text = this.model.getValue(r, c);
                 const cell = new SquareWithText(text, {
-                    ...squareOptions,
+                    ...this._tileOptions(),
                     size: squareSize,
                     fontSize: 32,
+                    kind: this.model.getKind(r, c),
                 });
 
-                const x = c * (squareSize + gap) + squareSize / 2;
-                const y = r * (squareSize + gap) + squareSize / 2;
-
-                if (center) {
-                    cell.x = x - totalWidth / 2;
-                    cell.y = y - totalHeight / 2;
-                } else {
-                    cell.x = x;
-                    cell.y = y;
-                }
+                const pos = this._cellPosition(r, c);
+                cell.x = pos.x;
+                cell.y = pos.y;
 
                 this.addChild(cell);
                 this._cells[r][c] = cell;
             }
         }
 
-        // store totals for positioning
-        this.totalWidth = totalWidth;
-        this.totalHeight = totalHeight;
-
         // path graphics for selection visuals
         this.pathGraphics = new Graphics();
         this.addChild(this.pathGraphics);
 
+        // focus cursor for keyboard / gamepad selection (hidden until first used)
+        this.cursor = null;
+        this._cursorGraphics = new Graphics();
+        this.addChild(this._cursorGraphics);
+
         // game over state observable
         try {
             this.gameOver$ = new BehaviorSubject(false);
@@ -118,10 +156,21 @@ export class Grid extends Container {
         }
 
         // gameplay values and interaction state
-        this.minCollectLen = 2;
         this._selection = [];
         this._isPointerDown = false;
         this.autoMerge = autoMerge;
+        this.mode = mode;
+        this.hintsUsed = 0;
+        // gold tiles collected this game
+        this.goldCollected = 0;
+        // records of this game, for the stats screen (see getGameSummary)
+        this.gameRecords = emptyGameRecords();
+        // free shuffles per game and how many are left; shuffle$ emits { shufflesLeft, rerolled }
+        this.shuffleLimit = shuffles;
+        this.shufflesLeft = shuffles;
+        // whether the player may start over from the game-over overlay (and keyboard)
+        this.restartable = restartable;
+        this.shuffle$ = new Subject();
         // score (imperative) and observable score stream for external subscribers
         this.score = 0;
         try {
@@ -129,6 +178,41 @@ export class Grid extends Container {
         } catch (e) {
             this.score$ = null;
         }
+        // combo / bonus rules; scoreEvents$ emits every scored merge with its breakdown and the
+        // new total
+        this.scoring = new ScoreKeeper(scoring);
+        this.scoreEvents$ = new Subject();
+
+        // emits the full game state (see getState) after every resolved move and restart
+        this.stateChanged$ = new Subject();
+        // Stats tapped on the Game Over overlay
+        this.statsRequested$ = new Subject();
+
+        // undo/redo history of board snapshots; undoState$ publishes { canUndo, canRedo, ... }
+        this._undoStack = new UndoStack(undoLimit);
+        this.undoState$ = this._undoStack.availability$;
+        // true from a committed merge until its collapse (and any cascades) has settled
+        this.resolving$ = new BehaviorSubject(false);
+        // set by endGame(): the run is over even if moves remain (e.g. a timer ran out)
+        this._ended = false;
+        // custom game-over message from endGame(); null shows the translated default
+        this._gameOverMessage = null;
+
+        // autoMerge cascades: { step, merges } for every automatic round after a collapse
+        this.cascade$ = new Subject();
+        this._cascadeStep = 0;
+        // undo entry of the move currently resolving (cascades are appended to it)
+        this._currentEntry = null;
+
+        // emits { type: 'commit', path, result } | { type: 'undo' } | { type: 'restart', seed }
+        // whenever the move history changes (used by replay recording)
+        this.history$ = new Subject();
+        // fires once a committed move has fully settled (collapse finished)
+        this._settled$ = new Subject();
+        // everything that happens on the board as { type, ...payload }, see GameEvents.js
+        this.events$ = new Subject();
+        // pointer input can be switched off while something else drives the board
+        this.inputEnabled = true;
 
         // enable interaction
         this.interactive = true;
@@ -154,15 +238,16 @@ export class Grid extends Container {
 
             const dragSub = pointerDown$
                 .pipe(
+                    // replays and other scripted input lock out the pointer, and no new drag
+                    // starts while the last move resolves (as in _canSelect)
+                    filter(() => this.inputEnabled && !this._resolving),
                     map((e) => e.data.global),
                     map((g) => this.getCellAtPoint(g.x, g.y)),
                     filter(Boolean),
                     tap((hit) => {
                         // start selection on pointer down
                         this._isPointerDown = true;
-                        this._selection = [{ r: hit.r, c: hit.c, cell: hit.cell }];
-                        this._highlightCell(hit.cell, true);
-                        this._updatePathGraphics();
+                        this._beginSelection(hit.r, hit.c);
                     }),
                     switchMap(() =>
                         pointerMove$.pipe(
@@ -208,14 +293,7 @@ export class Grid extends Container {
         try {
             this._gameOverContainer = new Container();
             const bg = new Graphics();
-            bg.beginFill(0x000000, 0.6);
-            bg.drawRect(
-                -this.totalWidth / 2,
-                -this.totalHeight / 2,
-                this.totalWidth,
-                this.totalHeight
-            );
-            bg.endFill();
+            this._gameOverBg = bg;
             this._gameOverContainer.addChild(bg);
 
             const style = {
@@ -224,49 +302,180 @@ export class Grid extends Container {
                 fill: '#ffffff',
                 align: 'center',
             };
-            const label = new Text('Game Over', style);
+            const label = new Text(t('grid.gameOver'), style);
             label.anchor = { x: 0.5, y: 0.5 };
             label.x = 0;
             label.y = -20;
+            this._gameOverLabel = label;
             this._gameOverContainer.addChild(label);
 
             const btnStyle = { fontFamily: 'Arial', fontSize: 20, fill: '#ffffff' };
-            const restart = new Text('Restart', btnStyle);
+            const restart = new Text(t('grid.restart'), btnStyle);
             restart.anchor = { x: 0.5, y: 0.5 };
             restart.x = 0;
             restart.y = 30;
             restart.interactive = true;
             restart.buttonMode = true;
-            restart.on('pointertap', () => this.restartGame());
+            restart.on('pointertap', () => this.restartable && this.restartGame());
+            restart.visible = restartable;
+            this._restartButton = restart;
             this._gameOverContainer.addChild(restart);
 
+            // the app decides what the stats screen shows; see statsRequested$
+            const stats = new Text(t('grid.stats'), btnStyle);
+            stats.anchor = { x: 0.5, y: 0.5 };
+            stats.x = 0;
+            stats.y = 64;
+            stats.interactive = true;
+            stats.buttonMode = true;
+            stats.on('pointertap', () => this.statsRequested$.next());
+            this._statsButton = stats;
+            this._gameOverContainer.addChild(stats);
+
             this._gameOverContainer.visible = false;
             this.addChild(this._gameOverContainer);
+            this._layoutGameOver();
         } catch (e) {
             this._gameOverContainer = null;
         }
 
         // initial game-over check
         try {
-            this._checkGameOver();
+            this._shuffleOrCheckGameOver();
         } catch (e) {}
 
         // hint state
         this._hintAnimating = false;
         this._hintButton = null;
         try {
-            const hbStyle = { fontFamily: 'Arial', fontSize: 18, fill: '#ffffff' };
-            const hintBtn = new Text('Hint', hbStyle);
+            const hbStyle = { fontFamily: 'Arial', fontSize: 18, fill: this.theme.hudText };
+            const hintBtn = new Text(t('grid.hint'), hbStyle);
             hintBtn.interactive = true;
             hintBtn.buttonMode = true;
-            hintBtn.x = Math.floor(this.totalWidth / 2) - 40;
-            hintBtn.y = -Math.floor(this.totalHeight / 2) - 28;
             hintBtn.on('pointertap', () => this._useHint());
             this._hintButton = hintBtn;
             this.addChild(hintBtn);
+            this._layoutHintButton();
         } catch (e) {
             this._hintButton = null;
         }
+
+        // relabel in place when the language changes
+        locale$.pipe(takeUntil(this._destroy$)).subscribe(() => this._applyLocale());
+    }
+
+    _applyLocale() {
+        try {
+            if (this._gameOverLabel)
+                this._gameOverLabel.text = this._gameOverMessage ?? t('grid.gameOver');
+            if (this._restartButton) this._restartButton.text = t('grid.restart');
+            if (this._statsButton) this._statsButton.text = t('grid.stats');
+            if (this._hintButton) this._hintButton.text = t('grid.hint');
+        } catch (e) {}
+        this._layoutHintButton();
+    }
+
+    // --- Layout ---
+    _computeTotals() {
+        this.totalWidth = this.cols * this.squareSize + (this.cols - 1) * this.gap;
+        this.totalHeight = this.rows * this.squareSize + (this.rows - 1) * this.gap;
+    }
+
+    // top-left corner of the board in local coordinates
+    _boardOrigin() {
+        return this.center ? { x: -this.totalWidth / 2, y: -this.totalHeight / 2 } : { x: 0, y: 0 };
+    }
+
+    // local position of the center of cell (r,c)
+    _cellPosition(r, c) {
+        const o = this._boardOrigin();
+        return {
+            x: o.x + c * (this.squareSize + this.gap) + this.squareSize / 2,
+            y: o.y + r * (this.squareSize + this.gap) + this.squareSize / 2,
+        };
+    }
+
+    _layoutGameOver() {
+        if (!this._gameOverContainer) return;
+        const o = this._boardOrigin();
+        this._gameOverContainer.x = o.x + this.totalWidth / 2;
+        this._gameOverContainer.y = o.y + this.totalHeight / 2;
+        const bg = this._gameOverBg;
+        bg.clear();
+        bg.beginFill(0x000000, 0.6);
+        bg.drawRect(-this.totalWidth / 2, -this.totalHeight / 2, this.totalWidth, this.totalHeight);
+        bg.endFill();
+        if (this._gameOverLabel)
+            this._gameOverLabel.style.fontSize = Math.max(20, Math.floor(this.squareSize * 0.8));
+    }
+
+    _layoutHintButton() {
+        const btn = this._hintButton;
+        if (!btn) return;
+        const o = this._boardOrigin();
+        // right-to-left languages get it on the other side
+        const rtl = isRTL();
+        if (this.layout === 'landscape') {
+            // beside the board, aligned with its top edge
+            btn.x = rtl ? o.x - 16 - btn.width : o.x + this.totalWidth + 16;
+            btn.y = o.y;
+        } else {
+            // above the board, aligned with its right (or left) edge
+            btn.x = rtl ? Math.floor(o.x) : Math.floor(o.x + this.totalWidth - btn.width);
+            btn.y = Math.floor(o.y) - 28;
+        }
+    }
+
+    /**
+     * Fit the board into a width x height viewport. Chooses a portrait or landscape
+     * arrangement, recomputes squareSize, cell positions, the selection path, the game-over
+     * overlay and the Hint button. A call made while a move is animating is applied once the
+     * board settles so in-flight collapse tweens keep valid targets.
+     */
+    resize(width, height) {
+        if (this._resolving) {
+            this._pendingResize = { width, height };
+            return;
+        }
+        this._pendingResize = null;
+
+        const landscape = width > height;
+        this.layout = landscape ? 'landscape' : 'portrait';
+        // leave room for the HUD (top-left) and the Hint button
+        const marginX = landscape ? 150 : 12;
+        const marginY = landscape ? 24 : 110;
+        const fit = (avail, n) => (avail - (n - 1) * this.gap) / n;
+        const size = Math.floor(
+            Math.min(fit(width - marginX * 2, this.cols), fit(height - marginY * 2, this.rows))
+        );
+        this.squareSize = Math.max(this.minSquareSize, Math.min(this.maxSquareSize, size));
+        this._computeTotals();
+
+        const fontSize = Math.min(32, this.squareSize / 2);
+        this.forEachCell((cell, r, c) => {
+            const pos = this._cellPosition(r, c);
+            // stop stray position tweens (e.g. an invalid-merge shake) from snapping back
+            gsap.killTweensOf(cell, 'x,y');
+            cell.x = pos.x;
+            cell.y = pos.y;
+            cell.setSize(this.squareSize, undefined, fontSize);
+            if (cell._hl) {
+                this._highlightCell(cell, false);
+                this._highlightCell(cell, true);
+            }
+        });
+
+        this._updatePathGraphics();
+        this._drawCursor();
+        this._layoutGameOver();
+        this._layoutHintButton();
+    }
+
+    // apply a resize that arrived mid-animation
+    _applyPendingResize() {
+        if (!this._pendingResize) return;
+        const { width, height } = this._pendingResize;
+        this.resize(width, height);
     }
 
     destroy(options) {
@@ -299,6 +508,25 @@ export class Grid extends Container {
         } catch (e) {}
     }
 
+    // seed of the current game (null when a custom generator does not expose one)
+    get seed() {
+        return this.model.seed;
+    }
+
+    // the generator driving fills and refills
+    get rng() {
+        return this.model.rng;
+    }
+
+    // minimum merge length is a board rule, so it lives on the model
+    get minCollectLen() {
+        return this.model.minCollectLen;
+    }
+
+    set minCollectLen(n) {
+        this.model.minCollectLen = n;
+    }
+
     getCell(row, col) {
         if (row < 0 || col < 0 || row >= this.rows || col >= this.cols) return null;
         return this._cells[row][col];
@@ -306,7 +534,9 @@ export class Grid extends Container {
 
     setTextAt(row, col, text) {
         const cell = this.getCell(row, col);
-        if (cell) cell.setText(text);
+        if (!cell) return;
+        cell.setText(text);
+        this.model.setValue(row, col, cell.value);
     }
 
     forEachCell(cb) {
@@ -318,7 +548,55 @@ export class Grid extends Container {
     }
 
     setAllText(fn) {
-        this.forEachCell((cell, r, c) => cell.setText(fn(r, c)));
+        this.forEachCell((cell, r, c) => {
+            cell.setText(fn(r, c));
+            this.model.setValue(r, c, cell.value);
+        });
+    }
+
+    // options for every tile view, board cells and temporary animation copies alike
+    _tileOptions() {
+        return {
+            ...this._squareOptions,
+            theme: this.theme,
+            glyphs: this.glyphs,
+            goldValue: this.model.goldValue,
+        };
+    }
+
+    /**
+     * Switch colors at runtime: tiles, path, highlights, cursor and hint button redraw in place.
+     * glyphs: true / false to force value shapes, null to follow the theme, omitted to keep.
+     */
+    setTheme(theme, glyphs = this.glyphs) {
+        this.theme = getTheme(theme);
+        this.glyphs = glyphs;
+        this.forEachCell((cell) => {
+            cell.setTheme(this.theme, glyphs);
+            // highlights are drawn with the theme color, so redraw them
+            if (cell._hl) {
+                this._highlightCell(cell, false);
+                this._highlightCell(cell, true);
+            }
+        });
+        this._updatePathGraphics();
+        this._drawCursor();
+        try {
+            if (this._hintButton) this._hintButton.style.fill = this.theme.hudText;
+        } catch (e) {}
+    }
+
+    // push the model value of a single cell into its view
+    _renderCell(r, c) {
+        const cell = this.getCell(r, c);
+        if (cell) cell.setKind(this.model.getKind(r, c), this.model.getValue(r, c));
+    }
+
+    // push every model value into the views
+    _renderBoard() {
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) this._renderCell(r, c);
+        }
     }
 
     // robust point -> cell detection by bounding box
@@ -337,7 +615,7 @@ export class Grid extends Container {
     }
 
     _isAdjacent(r1, c1, r2, c2) {
-        return Math.abs(r1 - r2) + Math.abs(c1 - c2) === 1;
+        return this.model.isAdjacent(r1, c1, r2, c2);
     }
 
     // prefer inner content scale if the SquareWithText exposes it
@@ -415,7 +693,8 @@ export class Grid extends Container {
                 const g = new Graphics();
                 const size =
                     typeof cell._size === 'number' && cell._size > 0 ? cell._size : this.squareSize;
-                g.beginFill(0xffffff, 0.06);
+                const { color, alpha } = this.theme.highlight;
+                g.beginFill(color, alpha);
                 g.drawRoundedRect(-size / 2, -size / 2, size, size, Math.max(6, size * 0.08));
                 g.endFill();
                 cell.addChild(g);
@@ -432,14 +711,85 @@ export class Grid extends Container {
         } catch (e) {}
     }
 
+    // start a new selection at (r,c)
+    _beginSelection(r, c) {
+        const cell = this.getCell(r, c);
+        // blockers and locked tiles cannot start a chain
+        if (!cell || !this.model.isSelectable(r, c)) {
+            this._clearSelection();
+            return;
+        }
+        this._selection = [{ r, c, cell }];
+        this._highlightCell(cell, true);
+        this._updatePathGraphics();
+        this._emit(GAME_EVENT.SELECTION_START, { r, c, path: this._selectionPath() });
+    }
+
+    // current selection as plain { r, c } cells
+    _selectionPath() {
+        return (this._selection || []).map((s) => ({ r: s.r, c: s.c }));
+    }
+
+    _emit(type, payload = {}) {
+        try {
+            this.events$.next({ type, ...payload });
+        } catch (e) {}
+    }
+
+    /**
+     * Drive the board through a selection path as if it had been dragged: cells are added one
+     * by one (cellDelay seconds apart), then the selection is committed with the usual merge
+     * and collapse animations. Emits true once the move has settled, or false if it did not
+     * merge. Delays run on the GSAP timeline, so gsap.globalTimeline.timeScale() speeds it up.
+     * time overrides the move timestamp used for combo scoring (replays pass recorded times).
+     */
+    playPath(path, { cellDelay = 0.08, time } = {}) {
+        return new Observable((subscriber) => {
+            if (this._resolving || this._isPointerDown || !path || path.length === 0) {
+                subscriber.error(new Error('Grid cannot play a path right now'));
+                return;
+            }
+            let call = null;
+            let settledSub = null;
+            let i = 1;
+            this._beginSelection(path[0].r, path[0].c);
+
+            const nextStep = () => {
+                if (i < path.length) {
+                    const p = path[i++];
+                    this._tryExtendPath(p.r, p.c, this.getCell(p.r, p.c));
+                    call = gsap.delayedCall(cellDelay, nextStep);
+                    return;
+                }
+                call = null;
+                settledSub = this._settled$.subscribe(() => {
+                    settledSub.unsubscribe();
+                    subscriber.next(true);
+                    subscriber.complete();
+                });
+                if (!this._commitSelection(null, time ?? Date.now())) {
+                    settledSub.unsubscribe();
+                    subscriber.next(false);
+                    subscriber.complete();
+                }
+            };
+            call = gsap.delayedCall(cellDelay, nextStep);
+
+            return () => {
+                try {
+                    call && call.kill();
+                } catch (e) {}
+                settledSub && settledSub.unsubscribe();
+            };
+        });
+    }
+
     _onPointerDown(e) {
         const global = e.data.global;
         const hit = this.getCellAtPoint(global.x, global.y);
         if (!hit) return;
         this._isPointerDown = true;
-        this._selection = [{ r: hit.r, c: hit.c, cell: hit.cell }];
-        this._highlightCell(hit.cell, true);
-        this._updatePathGraphics();
+        this._beginSelection(hit.r, hit.c);
     }
 
     _onPointerMove(e) {
@@ -452,33 +802,39 @@ export class Grid extends Container {
     }
 
     _onTap(e) {
-        // tap-to-select is intentionally disabled; method exists to satisfy pointerTap subscription
+        // a tap also arrives as a one-cell selection (pointerdown + pointerup), which is where
+        // gold tiles get collected (see _collectSelection); nothing else to do here
     }
 
     _onPointerUp() {
         if (!this._isPointerDown) return;
         this._isPointerDown = false;
+        this._commitSelection();
+    }
+
+    /**
+     * Resolve the current selection: merge, animate and collapse when legal, otherwise shake
+     * and clear it. undoEntry is passed when redoing a step so it is not recorded twice; time
+     * (ms) is when the move was made and drives combo scoring.
+     * Returns true when the selection merged.
+     */
+    _commitSelection(undoEntry = null, time = Date.now()) {
         const sel = this._selection;
+        // a single gold tile is collected rather than merged
+        if (sel.length === 1 && this.model.isCollectible(sel[0].r, sel[0].c))
+            return this._collectSelection(undoEntry, time);
         if (sel.length >= this.minCollectLen) {
-            // compute sum of selected cell values
-            const sum = sel.reduce((acc, s) => acc + (Number(s.cell.value) || 0), 0);
             const target = sel[sel.length - 1];
+            const before = this._snapshot();
 
-            // determine resulting merged value. By default the sum must be an allowed value, but
-            // special-case: 5 + 10 (sum 15) should produce 25.
-            let resultValue = null;
-            if (this.values.includes(sum)) {
-                resultValue = sum;
-            } else {
-                const has5 = sel.some((s) => Number(s.cell.value) === 5);
-                const has10 = sel.some((s) => Number(s.cell.value) === 10);
-                if (sum === 25 && has5 && has10) {
-                    resultValue = 25;
-                }
-            }
+            // the model validates the path and resolves the merged value; on success the target
+            // already holds the result and the other selected cells are empty in the model
+            const merge = this.model.applyMerge(sel);
+            const resultValue = merge ? merge.result : null;
 
             // if resultValue is still null, cancel merge with a small shake and un-highlight
             if (resultValue == null) {
+                this._emit(GAME_EVENT.INVALID_MERGE, { path: this._selectionPath() });
                 // small shake on target
                 const origX = target.cell.x;
                 gsap.to(target.cell, {
@@ -488,65 +844,49 @@ export class Grid extends Container {
                     repeat: 6,
                     ease: 'sine.inOut',
                     onComplete: () => {
-                        target.cell.x = origX;
+                        target.cell.x = this._cellPosition(target.r, target.c).x;
                     },
                 });
                 // un-highlight selection
                 sel.forEach((s) => this._highlightCell(s.cell, false));
                 this._selection = [];
                 this._updatePathGraphics();
-                return;
+                return false;
             }
 
-            // animate collected cells except target
-            sel.forEach((s) => {
-                if (s === target) return;
-                gsap.to(s.cell, { alpha: 0, duration: 0.18 });
+            // record the step; the collapse diff (and any autoMerge cascades) are attached once
+            // known so undo can animate their reversal
+            const entry = undoEntry || { before, merge, time, collapse: null, cascades: [] };
+            entry.cascades = [];
+            if (!undoEntry) this._undoStack.push(entry);
+            this._currentEntry = entry;
+            this._cascadeStep = 0;
+            this._resolving = true;
+            this.history$.next({
+                type: 'commit',
+                path: merge.path,
+                result: merge.result,
+                time: entry.time,
             });
 
-            // upgrade target visually to the summed value
-            // pop then settle at scale 1
-            gsap.fromTo(
-                target.cell.scale,
-                { x: 0.6, y: 0.6 },
-                {
-                    x: 1.2,
-                    y: 1.2,
-                    duration: 0.18,
-                    ease: 'power2.out',
-                    onComplete: () => {
-                        gsap.to(target.cell.scale, {
-                            x: 1,
-                            y: 1,
-                            duration: 0.12,
-                            ease: 'power2.in',
-                        });
-                    },
-                }
-            );
-            // add resulting merged value to the score
-            try {
-                this.score = (Number(this.score) || 0) + Number(resultValue);
-            } catch (e) {}
-            try {
-                if (this.score$ && typeof this.score$.next === 'function')
-                    this.score$.next(this.score);
-            } catch (e) {}
-            target.cell.setValue(
-                Number.isFinite(Number(resultValue)) ? Number(resultValue) : resultValue
-            );
+            this._emitMerge(merge, 0);
+            this._animateMerge(merge);
+            // add the merge to the score (combo / bonus rules apply)
+            this._scoreMerge(merge, { time: entry.time });
 
-            // after fade animation, clear others and collapse
-            setTimeout(() => {
+            // after fade animation, clear others and collapse (on the GSAP clock so time scaling
+            // applies to the whole move)
+            gsap.delayedCall(0.22, () => {
                 // clear non-target selected cells and remove their highlights immediately
                 for (let s of sel) {
                     if (s === target) continue;
                     try {
-                        s.cell.setValue(null);
+                        this._renderCell(s.r, s.c);
                         s.cell.alpha = 1;
                         this._highlightCell(s.cell, false);
                     } catch (e) {}
                 }
+                this._resetBombed(merge);
 
                 // keep only the target selected so the path clears; update visuals before collapse
                 this._selection = [target];
@@ -555,6 +895,7 @@ export class Grid extends Container {
                 // call collapse (returns Observable). Subscribe so we can clear selection after completion.
                 try {
                     const collapse$ = this._collapseColumn();
+                    entry.collapse = this._lastCollapse;
                     if (collapse$ && typeof collapse$.subscribe === 'function') {
                         collapse$.subscribe({
                             next: () => {},
@@ -600,15 +941,193 @@ export class Grid extends Container {
                         this._updatePathGraphics();
                     } catch (e) {}
                 }
-            }, 220);
-        } else {
-            // un-highlight
-            sel.forEach((s) => this._highlightCell(s.cell, false));
+            });
+            return true;
+        }
+        // un-highlight
+        if (sel.length) this._emit(GAME_EVENT.SELECTION_CANCEL, { path: this._selectionPath() });
+        sel.forEach((s) => this._highlightCell(s.cell, false));
+        this._selection = [];
+        this._updatePathGraphics();
+        return false;
+    }
+
+    _emitMerge(merge, cascadeStep) {
+        this._emit(GAME_EVENT.MERGE, {
+            path: merge.path,
+            target: merge.target,
+            sum: merge.sum,
+            result: merge.result,
+            cascadeStep,
+        });
+    }
+
+    /**
+     * Tap-to-collect: bank the selected gold tile for a bonus, then collapse and refill like a
+     * merge (same undo, history and settle flow; history commits carry collected: value).
+     */
+    _collectSelection(undoEntry, time) {
+        const { r, c, cell } = this._selection[0];
+        const before = this._snapshot();
+        const collect = this.model.collectAt(r, c);
+        if (!collect) return false;
+
+        const entry = undoEntry || { before, merge: collect, time, collapse: null, cascades: [] };
+        entry.cascades = [];
+        if (!undoEntry) this._undoStack.push(entry);
+        this._currentEntry = entry;
+        this._cascadeStep = 0;
+        this._resolving = true;
+        this.interactive = false;
+        this.goldCollected++;
+        this.history$.next({
+            type: 'commit',
+            path: collect.path,
+            result: null,
+            collected: collect.collected,
+            time: entry.time,
+        });
+
+        this._emit(GAME_EVENT.COLLECT, { r, c, value: collect.collected });
+        this._highlightCell(cell, false);
+        this._animateCollect(collect);
+        this._scoreCollect(collect);
+
+        gsap.delayedCall(0.35, () => {
+            this._renderCell(r, c);
+            cell.alpha = 1;
+            this._resetBombed(collect);
             this._selection = [];
             this._updatePathGraphics();
+            const collapse$ = this._collapseColumn();
+            entry.collapse = this._lastCollapse;
+            collapse$.subscribe();
+        });
+        return true;
+    }
+
+    // the collected tile lifts off and fades while the cell underneath empties
+    _animateCollect(collect) {
+        const { r, c } = collect.path[0];
+        const cell = this._cells[r][c];
+        const ghost = new SquareWithText(collect.collected, {
+            ...this._tileOptions(),
+            size: this.squareSize,
+            fontSize: Math.min(32, this.squareSize / 2),
+        });
+        ghost.x = cell.x;
+        ghost.y = cell.y;
+        this.addChild(ghost);
+        cell.alpha = 0;
+        gsap.to(ghost, {
+            y: cell.y - this.squareSize * 1.5,
+            alpha: 0,
+            duration: 0.35,
+            ease: 'power2.in',
+            onComplete: () => {
+                this.removeChild(ghost);
+                ghost.destroy({ children: true });
+            },
+        });
+        gsap.fromTo(ghost.scale, { x: 1, y: 1 }, { x: 1.3, y: 1.3, duration: 0.35 });
+        this._animateSideEffects(collect);
+    }
+
+    // fade the collected cells and pop the target, which shows the merged value right away
+    _animateMerge(merge) {
+        for (let p of merge.cleared) {
+            gsap.to(this._cells[p.r][p.c], { alpha: 0, duration: 0.18 });
+        }
+        this._animateSideEffects(merge);
+
+        // upgrade target visually to the summed value
+        // pop then settle at scale 1
+        const target = this._cells[merge.target.r][merge.target.c];
+        gsap.fromTo(
+            target.scale,
+            { x: 0.6, y: 0.6 },
+            {
+                x: 1.2,
+                y: 1.2,
+                duration: 0.18,
+                ease: 'power2.out',
+                onComplete: () => {
+                    gsap.to(target.scale, {
+                        x: 1,
+                        y: 1,
+                        duration: 0.12,
+                        ease: 'power2.in',
+                    });
+                },
+            }
+        );
+        this._renderCell(merge.target.r, merge.target.c);
+    }
+
+    // bomb blasts swell and vanish, freed locks drop their padlock
+    _animateSideEffects(merge) {
+        for (let p of merge.bombed || []) {
+            const cell = this._cells[p.r][p.c];
+            gsap.fromTo(cell.scale, { x: 1, y: 1 }, { x: 1.25, y: 1.25, duration: 0.18 });
+            gsap.to(cell, { alpha: 0, duration: 0.18 });
+        }
+        for (let p of merge.unlocked || []) {
+            this._renderCell(p.r, p.c);
+            gsap.fromTo(this._cells[p.r][p.c], { alpha: 0.5 }, { alpha: 1, duration: 0.18 });
         }
     }
 
+    // blasted cells show their (now empty) model state again before the collapse
+    _resetBombed(merge) {
+        for (let p of merge.bombed || []) {
+            const cell = this._cells[p.r][p.c];
+            this._renderCell(p.r, p.c);
+            cell.alpha = 1;
+            cell.scale.set(1, 1);
+        }
+    }
+
+    _scoreMerge(merge, { time, cascadeStep = 0 } = {}) {
+        const ev = this.scoring.scoreMerge({
+            result: merge.result,
+            length: merge.path.length,
+            time,
+            cascadeStep,
+        });
+        const records = this.gameRecords;
+        // cascades are not drawn by the player, so only selections count as moves and paths
+        if (cascadeStep === 0) {
+            records.moves++;
+            records.longestPath = Math.max(records.longestPath, ev.length);
+        }
+        records.biggestMerge = Math.max(records.biggestMerge, Number(merge.result) || 0);
+        if (merge.result === this.model.goldValue) records.goldCreated++;
+        this._addScore(ev.points);
+        try {
+            this.scoreEvents$.next({ ...ev, total: this.score });
+        } catch (e) {}
+        return ev;
+    }
+
+    _scoreCollect(collect) {
+        const ev = this.scoring.scoreCollect({ value: collect.collected });
+        this.gameRecords.moves++;
+        this._addScore(ev.points);
+        try {
+            this.scoreEvents$.next({ ...ev, total: this.score });
+        } catch (e) {}
+        return ev;
+    }
+
+    _addScore(points) {
+        try {
+            this.score = (Number(this.score) || 0) + Number(points);
+        } catch (e) {}
+        try {
+            if (this.score$ && typeof this.score$.next === 'function') this.score$.next(this.score);
+        } catch (e) {}
+    }
+
     _updatePathGraphics() {
         const g = this.pathGraphics;
         // always clear first
@@ -617,7 +1136,8 @@ export class Grid extends Container {
             // nothing to draw for 0 or 1 selection entries
             return;
         }
-        g.lineStyle(6, 0xffffff, 0.18);
+        const style = this.theme.path;
+        g.lineStyle(Math.max(3, Math.round(this.squareSize * 0.1)), style.color, style.alpha);
         // draw circles and connecting lines
         const points = this._selection.map((s) => ({ x: s.cell.x, y: s.cell.y }));
         g.moveTo(points[0].x, points[0].y);
@@ -626,7 +1146,7 @@ export class Grid extends Container {
         }
         // draw end circles
         for (let p of points) {
-            g.beginFill(0xffffff, 0.06);
+            g.beginFill(style.fill, style.fillAlpha);
             g.drawCircle(p.x, p.y, this.squareSize * 0.36);
             g.endFill();
         }
@@ -635,127 +1155,47 @@ export class Grid extends Container {
     _tryExtendPath(r, c, cell) {
         const sel = this._selection;
         if (!sel || sel.length === 0) return;
-        const last = sel[sel.length - 1];
-        // backtrack (allow undoing the last selection)
-        if (sel.length >= 2) {
-            const prev = sel[sel.length - 2];
-            if (prev.r === r && prev.c === c) {
-                this._highlightCell(last.cell, false);
-                sel.pop();
-                this._updatePathGraphics();
-                return;
-            }
+        const action = this.model.canExtend(sel, r, c);
+        if (action === 'backtrack') {
+            // backtrack (allow undoing the last selection)
+            const last = sel.pop();
+            this._highlightCell(last.cell, false);
+            this._updatePathGraphics();
+            this._emit(GAME_EVENT.SELECTION_BACKTRACK, {
+                r: last.r,
+                c: last.c,
+                path: this._selectionPath(),
+            });
+            return;
         }
-
-        // ignore if already in path
-        if (sel.some((s) => s.r === r && s.c === c)) return;
-
-        // must match the selected value (allow mixing 5s and 10s)
-        const baseValue = Number(sel[0].cell.value);
-        const candidateValue = Number(cell.value);
-        if (cell.value == null) return;
-        // allow either same-value selections OR mixing 5 and 10 together
-        const allowMix5and10 =
-            (baseValue === 5 || baseValue === 10) &&
-            (candidateValue === 5 || candidateValue === 10);
-        if (!(candidateValue === baseValue || allowMix5and10)) return;
-
-        // allow adding if the cell is adjacent to ANY selected cell (not just last)
-        const adjacentToAny = sel.some((s) => this._isAdjacent(s.r, s.c, r, c));
-        if (!adjacentToAny) return;
+        if (action !== 'extend') return;
 
         // add
         sel.push({ r, c, cell });
         this._highlightCell(cell, true);
         this._updatePathGraphics();
+        this._emit(GAME_EVENT.SELECTION_EXTEND, { r, c, path: this._selectionPath() });
     }
 
     // --- Game Over detection / UI ---
     // Returns true when there exists at least one valid selectable group/move
     _hasPossibleMove() {
-        // Find connected components of cells where selection rules permit grouping
-        const visited = Array.from({ length: this.rows }, () => Array(this.cols).fill(false));
-
-        const inBounds = (r, c) => r >= 0 && c >= 0 && r < this.rows && c < this.cols;
-
-        for (let r = 0; r < this.rows; r++) {
-            for (let c = 0; c < this.cols; c++) {
-                if (visited[r][c]) continue;
-                const val = this._cells[r][c].value;
-                if (val == null) {
-                    visited[r][c] = true;
-                    continue;
-                }
-
-                // BFS to gather connected component under selection rules
-                const q = [[r, c]];
-                const comp = [];
-                visited[r][c] = true;
-                while (q.length) {
-                    const [cr, cc] = q.shift();
-                    const cellVal = this._cells[cr][cc].value;
-                    comp.push({ r: cr, c: cc, v: Number(cellVal) });
-                    const neighbors = [
-                        [cr - 1, cc],
-                        [cr + 1, cc],
-                        [cr, cc - 1],
-                        [cr, cc + 1],
-                    ];
-                    for (let [nr, nc] of neighbors) {
-                        if (!inBounds(nr, nc)) continue;
-                        if (visited[nr][nc]) continue;
-                        const nv = this._cells[nr][nc].value;
-                        if (nv == null) continue;
-                        // two types of connectivity: same value OR mixing 5/10
-                        if (
-                            Number(nv) === Number(val) ||
-                            ((Number(val) === 5 || Number(val) === 10) &&
-                                (Number(nv) === 5 || Number(nv) === 10))
-                        ) {
-                            visited[nr][nc] = true;
-                            q.push([nr, nc]);
-                        }
-                    }
-                }
-
-                // Check if component yields any valid selection
-                if (comp.length >= this.minCollectLen) {
-                    // if all same value
-                    const allSame = comp.every((x) => x.v === comp[0].v);
-                    if (allSame) {
-                        const v = comp[0].v;
-                        for (let k = this.minCollectLen; k <= comp.length; k++) {
-                            if (this.values.includes(v * k)) return true;
-                        }
-                    }
-
-                    // check 5/10 mixing possibilities
-                    const count5 = comp.filter((x) => x.v === 5).length;
-                    const count10 = comp.filter((x) => x.v === 10).length;
-                    if (count5 + count10 >= this.minCollectLen && (count5 > 0 || count10 > 0)) {
-                        // brute force combinations up to component size
-                        const maxTotal = Math.min(comp.length, count5 + count10);
-                        for (let total = this.minCollectLen; total <= maxTotal; total++) {
-                            for (let n10 = 0; n10 <= Math.min(total, count10); n10++) {
-                                const n5 = total - n10;
-                                if (n5 < 0 || n5 > count5) continue;
-                                const sum = n5 * 5 + n10 * 10;
-                                if (this.values.includes(sum)) return true;
-                                if (sum === 25 && n5 > 0 && n10 > 0) return true;
-                            }
-                        }
-                    }
-                }
-            }
-        }
-        return false;
+        return this.model.hasPossibleMove();
     }
 
     _checkGameOver() {
         try {
-            const hasMove = this._hasPossibleMove();
+            const hasMove = !this._ended && this._hasPossibleMove();
             if (!hasMove) {
+                const wasOver = this.gameOver$ ? this.gameOver$.getValue() : false;
                 this.showGameOver();
+                if (!wasOver)
+                    this._emit(GAME_EVENT.GAME_OVER, {
+                        score: Number(this.score) || 0,
+                        message: this._gameOverLabel
+                            ? this._gameOverLabel.text
+                            : t('grid.gameOver'),
+                    });
                 try {
                     if (this.gameOver$ && typeof this.gameOver$.next === 'function')
                         this.gameOver$.next(true);
@@ -770,6 +1210,19 @@ export class Grid extends Container {
         } catch (e) {}
     }
 
+    // end the run now, whatever is left on the board; the overlay shows message (default: the
+    // translated "Game Over")
+    endGame(message = null) {
+        this._ended = true;
+        this._gameOverMessage = message;
+        this._isPointerDown = false;
+        this._clearSelection();
+        try {
+            if (this._gameOverLabel) this._gameOverLabel.text = message ?? t('grid.gameOver');
+        } catch (e) {}
+        this._checkGameOver();
+    }
+
     showGameOver() {
         try {
             if (this._gameOverContainer) this._gameOverContainer.visible = true;
@@ -784,267 +1237,478 @@ export class Grid extends Container {
         } catch (e) {}
     }
 
-    restartGame() {
+    // what the stats store records about this game (see Stats.js recordGame)
+    getGameSummary() {
+        return {
+            mode: this.mode,
+            rows: this.rows,
+            cols: this.cols,
+            score: Number(this.score) || 0,
+            hintsUsed: this.hintsUsed,
+            goldCollected: this.goldCollected,
+            ...this.gameRecords,
+        };
+    }
+
+    // serializable snapshot of everything needed to resume the current game
+    getState() {
+        const rng = this.model.rng;
+        return {
+            rows: this.rows,
+            cols: this.cols,
+            cells: this.model.getCells(),
+            score: Number(this.score) || 0,
+            seed: this.model.seed,
+            rngState: rng && typeof rng.getState === 'function' ? rng.getState() : null,
+            mode: this.mode,
+            hintsUsed: this.hintsUsed,
+            goldCollected: this.goldCollected,
+            shufflesLeft: this.shufflesLeft,
+            gameRecords: { ...this.gameRecords },
+            // only boards with special tiles carry kinds
+            kinds: this.model.hasSpecialTiles() ? this.model.getKinds() : null,
+        };
+    }
+
+    // restore a snapshot produced by getState(); returns false when it does not fit this grid
+    loadState(state) {
+        if (!state || state.rows !== this.rows || state.cols !== this.cols) return false;
         try {
-            // clear and refill board, reset score
-            for (let r = 0; r < this.rows; r++) {
-                for (let c = 0; c < this.cols; c++) {
-                    const cell = this._cells[r][c];
-                    const val = this._pickWeighted(this.values, this.weights);
-                    try {
-                        cell.setValue(Number.isFinite(Number(val)) ? Number(val) : val);
-                        cell.visible = true;
-                        cell.alpha = 1;
-                        this._highlightCell(cell, false);
-                    } catch (e) {}
-                }
+            if (state.seed != null) {
+                this.model.reseed(state.seed);
+                this._fxRng.reseed(state.seed);
             }
-            try {
-                this.score = 0;
-                if (this.score$ && typeof this.score$.next === 'function')
-                    this.score$.next(this.score);
-            } catch (e) {}
-            this.hideGameOver();
+            const rng = this.model.rng;
+            if (state.rngState != null && rng && typeof rng.setState === 'function')
+                rng.setState(state.rngState);
+            this.model.setCells(state.cells);
+            this.model.setKinds(state.kinds || null);
+            this.mode = state.mode || this.mode;
+            this.hintsUsed = Number(state.hintsUsed) || 0;
+            this.goldCollected = Number(state.goldCollected) || 0;
+            this.shufflesLeft = Number.isInteger(state.shufflesLeft)
+                ? state.shufflesLeft
+                : this.shuffleLimit;
+            this.gameRecords = { ...emptyGameRecords(), ...state.gameRecords };
+
+            this._selection = [];
+            this._updatePathGraphics();
+            this.forEachCell((cell) => {
+                cell.visible = true;
+                cell.alpha = 1;
+                this._highlightCell(cell, false);
+            });
+            this._renderBoard();
+            this._undoStack.clear();
+            this.scoring.reset();
+
+            this.score = Number(state.score) || 0;
+            if (this.score$ && typeof this.score$.next === 'function') this.score$.next(this.score);
+            // a resumed game starts its move history (and replays) from this board
+            this.history$.next({ type: 'load', state: this.getState() });
+            this._shuffleOrCheckGameOver();
+        } catch (e) {
+            return false;
+        }
+        return true;
+    }
+
+    // board snapshot stored per undo step: values, score and generator position
+    _snapshot() {
+        const rng = this.model.rng;
+        return {
+            cells: this.model.getCells(),
+            kinds: this.model.getKinds(),
+            score: Number(this.score) || 0,
+            rngState: rng && typeof rng.getState === 'function' ? rng.getState() : null,
+            hintsUsed: this.hintsUsed,
+            goldCollected: this.goldCollected,
+            shufflesLeft: this.shufflesLeft,
+            gameRecords: { ...this.gameRecords },
+            scoring: this.scoring.getState(),
+        };
+    }
+
+    _restoreSnapshot(snap) {
+        const rng = this.model.rng;
+        if (snap.rngState != null && rng && typeof rng.setState === 'function')
+            rng.setState(snap.rngState);
+        this.model.setCells(snap.cells);
+        this.model.setKinds(snap.kinds);
+        this.hintsUsed = snap.hintsUsed;
+        this.goldCollected = snap.goldCollected;
+        this.shufflesLeft = snap.shufflesLeft;
+        this.gameRecords = { ...snap.gameRecords };
+        this.scoring.setState(snap.scoring);
+        this.score = snap.score;
+        try {
+            if (this.score$ && typeof this.score$.next === 'function') this.score$.next(this.score);
         } catch (e) {}
     }
 
-    // Build a drawable path from a component (path where each cell is adjacent to previous)
-    _buildDrawablePath(compCoords, targetLen) {
-        if (!compCoords || compCoords.length < targetLen) return null;
+    // mirrored in resolving$ so modes can pause clocks while a move resolves
+    get _resolving() {
+        return this.resolving$ ? this.resolving$.getValue() : false;
+    }
 
-        // Try starting from each cell in the component
-        for (let startIdx = 0; startIdx < compCoords.length; startIdx++) {
-            const path = [compCoords[startIdx]];
-            const remaining = compCoords.filter((_, i) => i !== startIdx);
+    set _resolving(value) {
+        if (this.resolving$ && this.resolving$.getValue() !== !!value)
+            this.resolving$.next(!!value);
+    }
 
-            while (path.length < targetLen && remaining.length > 0) {
-                const last = path[path.length - 1];
-                // Find next adjacent cell in remaining
-                const nextIdx = remaining.findIndex(
-                    (c) => Math.abs(c.r - last.r) + Math.abs(c.c - last.c) === 1
-                );
+    // a finished game stays finished: its result has been recorded (stats, cleared save)
+    get canUndo() {
+        return this._undoStack.canUndo && !this.gameOver$.getValue();
+    }
 
-                if (nextIdx === -1) break; // no adjacent cell found
+    get canRedo() {
+        return this._undoStack.canRedo && !this.gameOver$.getValue();
+    }
 
-                path.push(remaining[nextIdx]);
-                remaining.splice(nextIdx, 1);
-            }
+    setUndoLimit(limit) {
+        this._undoStack.setLimit(limit);
+    }
 
-            if (path.length >= targetLen) {
-                return path.slice(0, targetLen).map((x) => ({ r: x.r, c: x.c }));
-            }
-        }
+    /**
+     * Step back one merge, animating the last collapse in reverse. Returns false when there is
+     * nothing to undo, a move is still resolving or the game is over.
+     */
+    undo() {
+        if (this._resolving || this._isPointerDown || !this.canUndo) return false;
+        const entry = this._undoStack.undo();
+        this._restoreSnapshot(entry.before);
+        this.history$.next({ type: 'undo' });
+        this._animateUndo(entry).subscribe();
+        return true;
+    }
 
-        return null;
+    /**
+     * Re-apply the last undone merge. The snapshot restored by undo includes the generator
+     * position, so replaying the same path yields the same refill.
+     */
+    redo() {
+        if (this._resolving || this._isPointerDown || !this.canRedo) return false;
+        const entry = this._undoStack.redo();
+        this._clearSelection();
+        this._selection = entry.merge.path.map((p) => ({
+            r: p.r,
+            c: p.c,
+            cell: this._cells[p.r][p.c],
+        }));
+        this._selection.forEach((s) => this._highlightCell(s.cell, true));
+        this._updatePathGraphics();
+        this._commitSelection(entry, entry.time);
+        return true;
     }
 
-    // Find a sample valid move (returns array of {r,c} or null)
-    _findHintMove() {
-        // reuse connected component logic but return an actual subset when possible
-        const inBounds = (r, c) => r >= 0 && c >= 0 && r < this.rows && c < this.cols;
+    // --- Focus cursor / non-pointer selection ---
+    // place the focus cursor on (r,c) (clamped to the board) and show it
+    setCursor(r, c) {
+        this.cursor = {
+            r: Math.max(0, Math.min(this.rows - 1, r)),
+            c: Math.max(0, Math.min(this.cols - 1, c)),
+        };
+        this._drawCursor();
+    }
 
-        const visited = Array.from({ length: this.rows }, () => Array(this.cols).fill(false));
+    // move the focus cursor by (dr, dc); the first call only reveals it
+    moveCursor(dr, dc) {
+        if (!this.cursor) {
+            this.setCursor(Math.floor(this.rows / 2), Math.floor(this.cols / 2));
+            return;
+        }
+        this.setCursor(this.cursor.r + dr, this.cursor.c + dc);
+    }
 
-        for (let r = 0; r < this.rows; r++) {
-            for (let c = 0; c < this.cols; c++) {
-                if (visited[r][c]) continue;
-                const val = this._cells[r][c].value;
-                if (val == null) {
-                    visited[r][c] = true;
-                    continue;
-                }
+    hideCursor() {
+        this.cursor = null;
+        this._drawCursor();
+    }
 
-                // BFS build component
-                const q = [[r, c]];
-                const compCoords = [];
-                visited[r][c] = true;
-                while (q.length) {
-                    const [cr, cc] = q.shift();
-                    const cv = Number(this._cells[cr][cc].value);
-                    compCoords.push({ r: cr, c: cc, v: cv });
-                    const neighbors = [
-                        [cr - 1, cc],
-                        [cr + 1, cc],
-                        [cr, cc - 1],
-                        [cr, cc + 1],
-                    ];
-                    for (let [nr, nc] of neighbors) {
-                        if (!inBounds(nr, nc)) continue;
-                        if (visited[nr][nc]) continue;
-                        const nv = this._cells[nr][nc].value;
-                        if (nv == null) continue;
-                        if (
-                            Number(nv) === Number(val) ||
-                            ((Number(val) === 5 || Number(val) === 10) &&
-                                (Number(nv) === 5 || Number(nv) === 10))
-                        ) {
-                            visited[nr][nc] = true;
-                            q.push([nr, nc]);
-                        }
-                    }
-                }
+    _drawCursor() {
+        const g = this._cursorGraphics;
+        if (!g) return;
+        g.clear();
+        if (!this.cursor) return;
+        const { x, y } = this._cellPosition(this.cursor.r, this.cursor.c);
+        const size = this.squareSize + 6;
+        g.lineStyle(Math.max(2, Math.round(this.squareSize * 0.06)), this.theme.cursor, 1);
+        g.drawRoundedRect(x - size / 2, y - size / 2, size, size, Math.max(6, size * 0.1));
+    }
 
-                if (compCoords.length >= this.minCollectLen) {
-                    // try same-value groups first
-                    const allSame = compCoords.every((x) => x.v === compCoords[0].v);
-                    if (allSame) {
-                        const v = compCoords[0].v;
-                        for (let k = this.minCollectLen; k <= compCoords.length; k++) {
-                            if (this.values.includes(v * k)) {
-                                // return a valid drawable path of k cells
-                                return this._buildDrawablePath(compCoords, k);
-                            }
-                        }
-                    }
+    // true while no move is animating, no drag is active and the game is still running
+    _canSelect() {
+        if (this._resolving || this._isPointerDown) return false;
+        return !(this._gameOverContainer && this._gameOverContainer.visible);
+    }
 
-                    // try mixing 5/10 subsets (limit subset size to 6 for performance)
-                    const mix = compCoords.filter((x) => x.v === 5 || x.v === 10);
-                    if (mix.length >= this.minCollectLen) {
-                        const maxSize = Math.min(mix.length, 6);
-                        // Try to build drawable paths of increasing length from mix
-                        for (let len = this.minCollectLen; len <= maxSize; len++) {
-                            const path = this._buildDrawablePath(mix, len);
-                            if (path) {
-                                const coords = path.map((p) =>
-                                    mix.find((m) => m.r === p.r && m.c === p.c)
-                                );
-                                const sum = coords.reduce((s, c) => s + c.v, 0);
-                                const has5 = coords.some((c) => c.v === 5);
-                                const has10 = coords.some((c) => c.v === 10);
-                                if (this.values.includes(sum) || (sum === 25 && has5 && has10)) {
-                                    return path;
-                                }
-                            }
-                        }
-                    }
-                }
-            }
+    /**
+     * Start, extend or backtrack the selection at (r,c) with the same rules as a drag.
+     * Returns true when the selection changed.
+     */
+    selectAt(r, c) {
+        if (!this._canSelect()) return false;
+        const cell = this.getCell(r, c);
+        if (!cell) return false;
+        if (!this._selection || this._selection.length === 0) {
+            if (!this.model.isSelectable(r, c)) return false;
+            this._beginSelection(r, c);
+            return true;
         }
-        return null;
+        const before = this._selection.length;
+        this._tryExtendPath(r, c, cell);
+        return this._selection.length !== before;
     }
 
-    _collapseColumn() {
-        // animate collapse where existing non-null cells fall to their destination rows
+    // commit the current non-pointer selection; returns true when it merged
+    commitSelection() {
+        if (!this._canSelect() || !this._selection || this._selection.length === 0) return false;
+        return this._commitSelection();
+    }
+
+    cancelSelection() {
+        if (this._resolving || this._isPointerDown) return;
+        this._clearSelection();
+    }
+
+    _clearSelection() {
+        if (this._selection && this._selection.length)
+            this._emit(GAME_EVENT.SELECTION_CANCEL, { path: this._selectionPath() });
+        (this._selection || []).forEach((s) => this._highlightCell(s.cell, false));
+        this._selection = [];
+        this._updatePathGraphics();
+    }
+
+    // reverse of _collapseColumn: moved tiles rise back, spawned tiles leave upwards, then the
+    // merged cells reappear. The model already holds the restored values.
+    _animateUndo(entry) {
         this.interactive = false;
+        this._resolving = true;
+        this._clearSelection();
         const animations$ = [];
+        const { moves = [], spawns = [] } = entry.collapse || {};
+
+        const makeTemp = (value, from, kind) => {
+            const temp = new SquareWithText(value, {
+                ...this._tileOptions(),
+                size: this.squareSize,
+                fontSize: Math.min(32, this.squareSize / 2),
+                kind,
+            });
+            temp.x = from.x;
+            temp.y = from.y;
+            this.addChild(temp);
+            return temp;
+        };
 
-        for (let c = 0; c < this.cols; c++) {
-            // gather source cells and values top->bottom
-            const srcCells = [];
-            const srcVals = [];
-            for (let r = 0; r < this.rows; r++) {
-                const cell = this._cells[r][c];
-                srcCells.push(cell);
-                srcVals.push(cell.value == null ? null : Number(cell.value));
+        for (let m of moves) this._cells[m.to][m.c].visible = false;
+        for (let sp of spawns) this._cells[sp.r][sp.c].visible = false;
+        // cells changed by autoMerge cascades stay hidden until the restored board is shown
+        for (let step of entry.cascades || []) {
+            for (let m of step.merges) {
+                this._cells[m.target.r][m.target.c].visible = false;
+                m.cleared.forEach((p) => (this._cells[p.r][p.c].visible = false));
+                (m.bombed || []).forEach((p) => (this._cells[p.r][p.c].visible = false));
             }
+            for (let m of step.collapse.moves) this._cells[m.to][m.c].visible = false;
+            for (let sp of step.collapse.spawns) this._cells[sp.r][sp.c].visible = false;
+        }
 
-            const nonNullVals = srcVals.filter((v) => v != null);
-            const emptyCount = this.rows - nonNullVals.length;
-            const newVals = Array.from({ length: emptyCount }, () =>
-                this._pickWeighted(this.values, this.weights)
+        for (let m of moves) {
+            const temp = makeTemp(m.value, this._cells[m.to][m.c], m.kind);
+            const source = this._cells[m.from][m.c];
+            animations$.push(
+                this._tweenTo$(temp, {
+                    x: source.x,
+                    y: source.y,
+                    duration: 0.24,
+                    ease: 'power2.inOut',
+                })
+                    .pipe(tap(() => this.removeChild(temp)))
+                    .pipe(takeUntil(this._destroy$))
             );
-            const finalVals = newVals.concat(nonNullVals); // top->bottom final values
+        }
 
-            let nonNullIndex = 0;
+        for (let sp of spawns) {
+            const temp = makeTemp(sp.value, this._cells[sp.r][sp.c], sp.kind);
+            animations$.push(
+                this._tweenTo$(temp, {
+                    y: temp.y - this.totalHeight - 40,
+                    alpha: 0,
+                    duration: 0.3,
+                    ease: 'power2.in',
+                })
+                    .pipe(tap(() => this.removeChild(temp)))
+                    .pipe(takeUntil(this._destroy$))
+            );
+        }
 
-            for (let r = 0; r < this.rows; r++) {
-                const destCell = this._cells[r][c];
-                const targetVal = finalVals[r];
+        const settle = () => {
+            this._renderBoard();
+            this.forEachCell((cell) => (cell.visible = true));
+            // merged cells fade back in and the target shrinks back to its old value
+            const { merge } = entry;
+            for (let p of merge.cleared.concat(merge.bombed || [])) {
+                const cell = this._cells[p.r][p.c];
+                gsap.fromTo(cell, { alpha: 0 }, { alpha: 1, duration: 0.18 });
+            }
+            // collected gold has no target
+            if (merge.target) {
+                const target = this._cells[merge.target.r][merge.target.c];
+                gsap.fromTo(
+                    target.scale,
+                    { x: 1.2, y: 1.2 },
+                    { x: 1, y: 1, duration: 0.18, ease: 'power2.out' }
+                );
+            }
+            this.interactive = true;
+            this._resolving = false;
+            this._applyPendingResize();
+            this._checkGameOver();
+            this._emitStateChanged();
+        };
+
+        if (animations$.length === 0) {
+            settle();
+            return of(null).pipe(takeUntil(this._destroy$));
+        }
+        return forkJoin(animations$).pipe(takeUntil(this._destroy$), finalize(settle));
+    }
 
-                if (r < emptyCount) {
-                    // spawn new falling square from above
+    _emitStateChanged() {
+        try {
+            if (this.stateChanged$) this.stateChanged$.next(this.getState());
+        } catch (e) {}
+    }
+
+    // start a new game; pass a seed to replay a specific board, otherwise a fresh one is drawn
+    restartGame(seed = randomSeed()) {
+        try {
+            // reseed and refill board, reset score
+            this.model.reset(seed);
+            this._fxRng.reseed(this.model.seed ?? seed);
+            for (let r = 0; r < this.rows; r++) {
+                for (let c = 0; c < this.cols; c++) {
+                    const cell = this._cells[r][c];
                     try {
-                        destCell.visible = false;
+                        this._renderCell(r, c);
+                        cell.visible = true;
+                        cell.alpha = 1;
+                        this._highlightCell(cell, false);
                     } catch (e) {}
-                    const spawn = new SquareWithText(targetVal, {
-                        size: this.squareSize,
-                        fontSize: Math.min(32, this.squareSize / 2),
-                    });
-                    spawn.x = destCell.x;
-                    spawn.y = destCell.y - this.totalHeight - 40 - Math.random() * 80;
-                    spawn.alpha = 0;
-                    this.addChild(spawn);
-
-                    const dur = 0.35 + Math.random() * 0.12;
-                    const obs$ = this._tweenTo$(spawn, {
-                        y: destCell.y,
-                        alpha: 1,
-                        duration: dur,
-                        ease: 'power2.out',
-                    })
-                        .pipe(
-                            // perform side-effects when tween completes
-                            tap(() => {
-                                destCell.setValue(
-                                    Number.isFinite(Number(targetVal))
-                                        ? Number(targetVal)
-                                        : targetVal
-                                );
-                                try {
-                                    destCell.visible = true;
-                                } catch (e) {}
-                                this.removeChild(spawn);
-                            })
-                        )
-                        .pipe(takeUntil(this._destroy$));
-                    animations$.push(obs$);
-                } else {
-                    const valueToPlace = nonNullVals[nonNullIndex++];
-                    // find the source index corresponding to this non-null occurrence
-                    let foundIdx = -1;
-                    let count = 0;
-                    for (let s = 0; s < srcVals.length; s++) {
-                        if (srcVals[s] != null) {
-                            if (count === nonNullIndex - 1) {
-                                foundIdx = s;
-                                break;
-                            }
-                            count++;
-                        }
-                    }
-                    const sourceCell = foundIdx >= 0 ? srcCells[foundIdx] : null;
-
-                    if (sourceCell) {
-                        // animate existing cell drop to target
-                        const temp = new SquareWithText(valueToPlace, {
-                            size: this.squareSize,
-                            fontSize: Math.min(32, this.squareSize / 2),
-                        });
-                        temp.x = sourceCell.x;
-                        temp.y = sourceCell.y;
-                        this.addChild(temp);
-
-                        // smooth drop to destination
-                        const dur = 0.24 + Math.random() * 0.08;
-                        const obs$ = this._tweenTo$(temp, {
-                            x: destCell.x,
-                            y: destCell.y,
-                            duration: dur,
-                            ease: 'power2.inOut',
-                        })
-                            .pipe(
-                                tap(() => {
-                                    destCell.setValue(
-                                        Number.isFinite(Number(valueToPlace))
-                                            ? Number(valueToPlace)
-                                            : valueToPlace
-                                    );
-                                    try {
-                                        destCell.visible = true;
-                                    } catch (e) {}
-                                    this.removeChild(temp);
-                                })
-                            )
-                            .pipe(takeUntil(this._destroy$));
-                        animations$.push(obs$);
-                    }
                 }
             }
+            try {
+                this.score = 0;
+                if (this.score$ && typeof this.score$.next === 'function')
+                    this.score$.next(this.score);
+            } catch (e) {}
+            this.hintsUsed = 0;
+            this.goldCollected = 0;
+            this.shufflesLeft = this.shuffleLimit;
+            this.gameRecords = emptyGameRecords();
+            this.scoring.reset();
+            this._undoStack.clear();
+            this.history$.next({ type: 'restart', seed: this.model.seed });
+            this._emit(GAME_EVENT.RESTART, { seed: this.model.seed });
+            this._ended = false;
+            this._gameOverMessage = null;
+            try {
+                if (this._gameOverLabel) this._gameOverLabel.text = t('grid.gameOver');
+            } catch (e) {}
+            // also resets gameOver$ (a fixed level layout could even start without moves)
+            this._shuffleOrCheckGameOver();
+            this._emitStateChanged();
+        } catch (e) {}
+    }
+
+    // Find a sample valid move (returns array of {r,c} or null)
+    _findHintMove() {
+        return this.model.findHintMove({ scoring: this.scoring.options });
+    }
+
+    _collapseColumn() {
+        // apply gravity + refill in the model, then animate the resulting diff
+        this.interactive = false;
+        const animations$ = [];
+        const { moves, spawns } = (this._lastCollapse = this.model.collapse());
+        this._emit(GAME_EVENT.COLLAPSE_START, { moves, spawns });
+        if (spawns.length) this._emit(GAME_EVENT.SPAWN, { tiles: spawns });
+
+        // destination views stay hidden until the falling copy lands on them
+        const land = (destCell, r, c, temp) => {
+            this._renderCell(r, c);
+            try {
+                destCell.visible = true;
+            } catch (e) {}
+            this.removeChild(temp);
+        };
+        for (let m of moves) this._cells[m.to][m.c].visible = false;
+        for (let s of spawns) this._cells[s.r][s.c].visible = false;
+
+        for (let m of moves) {
+            const sourceCell = this._cells[m.from][m.c];
+            const destCell = this._cells[m.to][m.c];
+
+            // animate existing cell drop to target
+            const temp = new SquareWithText(m.value, {
+                ...this._tileOptions(),
+                size: this.squareSize,
+                fontSize: Math.min(32, this.squareSize / 2),
+                kind: m.kind,
+            });
+            temp.x = sourceCell.x;
+            temp.y = sourceCell.y;
+            this.addChild(temp);
+
+            // smooth drop to destination
+            const dur = 0.24 + this._fxRng.next() * 0.08;
+            const obs$ = this._tweenTo$(temp, {
+                x: destCell.x,
+                y: destCell.y,
+                duration: dur,
+                ease: 'power2.inOut',
+            })
+                .pipe(tap(() => land(destCell, m.to, m.c, temp)))
+                .pipe(takeUntil(this._destroy$));
+            animations$.push(obs$);
+        }
+
+        for (let s of spawns) {
+            const destCell = this._cells[s.r][s.c];
+
+            // spawn new falling square from above
+            const spawn = new SquareWithText(s.value, {
+                ...this._tileOptions(),
+                size: this.squareSize,
+                fontSize: Math.min(32, this.squareSize / 2),
+                kind: s.kind,
+            });
+            spawn.x = destCell.x;
+            spawn.y = destCell.y - this.totalHeight - 40 - this._fxRng.next() * 80;
+            spawn.alpha = 0;
+            this.addChild(spawn);
+
+            const dur = 0.35 + this._fxRng.next() * 0.12;
+            const obs$ = this._tweenTo$(spawn, {
+                y: destCell.y,
+                alpha: 1,
+                duration: dur,
+                ease: 'power2.out',
+            })
+                .pipe(
+                    // perform side-effects when tween completes
+                    tap(() => land(destCell, s.r, s.c, spawn))
+                )
+                .pipe(takeUntil(this._destroy$));
+            animations$.push(obs$);
         }
 
         // create cleanup routine
         const cleanup = () => {
             try {
+                // views must match the model even if a tween was cut short
+                this._renderBoard();
                 if (this.pathGraphics) this.pathGraphics.clear();
                 if (this._selection && this._selection.length) {
                     this._selection.forEach((s) => {
@@ -1062,26 +1726,161 @@ export class Grid extends Container {
                     }
                 }
                 this._selection = [];
-                // check for game over after collapse updates
-                try {
-                    this._checkGameOver();
-                } catch (e) {}
             } catch (e) {}
+            this._emit(GAME_EVENT.COLLAPSE_END);
+            // autoMerge: groups formed by the collapse resolve and collapse again first
+            if (this._startCascade()) return;
+            // out of moves: a free shuffle deals a playable board before the move settles
+            if (this._startShuffle()) return;
+            this._settleMove();
         };
 
         if (!animations$ || animations$.length === 0) {
-            this.interactive = true;
             cleanup();
             return of(null).pipe(takeUntil(this._destroy$));
         }
 
-        return forkJoin(animations$).pipe(
-            takeUntil(this._destroy$),
-            finalize(() => {
-                this.interactive = true;
-                cleanup();
-            })
-        );
+        return forkJoin(animations$).pipe(takeUntil(this._destroy$), finalize(cleanup));
+    }
+
+    // end of a move: input back on, game over check, save point
+    _settleMove() {
+        this.interactive = true;
+        this._resolving = false;
+        try {
+            // check for game over after collapse updates
+            try {
+                this._checkGameOver();
+            } catch (e) {}
+            this._applyPendingResize();
+            this._emitStateChanged();
+            this._settled$.next();
+        } catch (e) {}
+    }
+
+    // a dealt, restarted or loaded board without moves gets a free shuffle before it counts as
+    // game over, like the end of a move; input stays off until the shuffle has settled
+    _shuffleOrCheckGameOver() {
+        const resolving = this._resolving;
+        this._resolving = true;
+        if (this._startShuffle()) return;
+        this._resolving = resolving;
+        this._checkGameOver();
+    }
+
+    /**
+     * Use a free shuffle when the board has no legal move left: tiles slide to their new cells
+     * (or flip over when the model had to reroll them), then the move settles.
+     * Returns true when a shuffle started.
+     */
+    _startShuffle() {
+        if (this.shufflesLeft <= 0 || this._ended || this.destroyed) return false;
+        if (this._hasPossibleMove()) return false;
+        const shuffle = this.model.shuffle();
+        if (!shuffle) return false;
+        this.shufflesLeft--;
+        this.shuffle$.next({ shufflesLeft: this.shufflesLeft, rerolled: shuffle.rerolled });
+        this._emit(GAME_EVENT.SHUFFLE, {
+            shufflesLeft: this.shufflesLeft,
+            rerolled: shuffle.rerolled,
+        });
+
+        const animations$ = [];
+        if (shuffle.rerolled) {
+            // flip every tile over to its new value
+            this.forEachCell((cell, r, c) => {
+                animations$.push(
+                    this._tweenTo$(cell.scale, { x: 0, duration: 0.15, ease: 'power1.in' }).pipe(
+                        switchMap(() => {
+                            this._renderCell(r, c);
+                            return this._tweenTo$(cell.scale, { x: 1, duration: 0.15 });
+                        })
+                    )
+                );
+            });
+        } else {
+            for (let m of shuffle.moves) {
+                if (m.from.r === m.to.r && m.from.c === m.to.c) continue;
+                const dest = this._cells[m.to.r][m.to.c];
+                const source = this._cells[m.from.r][m.from.c];
+                const temp = new SquareWithText(this.model.getValue(m.to.r, m.to.c), {
+                    ...this._tileOptions(),
+                    size: this.squareSize,
+                    fontSize: Math.min(32, this.squareSize / 2),
+                    kind: this.model.getKind(m.to.r, m.to.c),
+                });
+                temp.x = source.x;
+                temp.y = source.y;
+                this.addChild(temp);
+                dest.visible = false;
+                animations$.push(
+                    this._tweenTo$(temp, {
+                        x: dest.x,
+                        y: dest.y,
+                        duration: 0.3 + this._fxRng.next() * 0.15,
+                        ease: 'power2.inOut',
+                    }).pipe(
+                        tap(() => {
+                            this._renderCell(m.to.r, m.to.c);
+                            dest.visible = true;
+                            this.removeChild(temp);
+                        })
+                    )
+                );
+            }
+        }
+
+        const done = () => {
+            this._renderBoard();
+            this.forEachCell((cell) => {
+                cell.visible = true;
+                cell.scale.set(1, 1);
+            });
+            this._settleMove();
+        };
+        if (animations$.length === 0) {
+            done();
+            return true;
+        }
+        forkJoin(animations$).pipe(takeUntil(this._destroy$), finalize(done)).subscribe();
+        return true;
+    }
+
+    /**
+     * autoMerge cascade step: resolve every group the last collapse formed, animate it like a
+     * player merge, then collapse again (which comes back here until the board is stable).
+     * Returns true when a step started.
+     */
+    _startCascade() {
+        if (!this.autoMerge || this.destroyed) return false;
+        const merges = this.model
+            .findAutoMerges()
+            .map((path) => this.model.applyMerge(path))
+            .filter(Boolean);
+        if (merges.length === 0) return false;
+
+        const step = ++this._cascadeStep;
+        merges.forEach((m) => {
+            this._emitMerge(m, step);
+            this._animateMerge(m);
+            this._scoreMerge(m, { cascadeStep: step });
+        });
+        this.cascade$.next({ step, merges });
+
+        const entry = this._currentEntry;
+        gsap.delayedCall(0.22, () => {
+            for (let m of merges) {
+                for (let p of m.cleared) {
+                    this._renderCell(p.r, p.c);
+                    this._cells[p.r][p.c].alpha = 1;
+                }
+                this._resetBombed(m);
+            }
+            const collapse$ = this._collapseColumn();
+            if (entry) entry.cascades.push({ merges, collapse: this._lastCollapse });
+            collapse$.subscribe();
+        });
+        return true;
     }
 
     // Use hint: find a move and highlight cells briefly
@@ -1098,6 +1897,8 @@ export class Grid extends Container {
             }
 
             this._hintAnimating = true;
+            this.hintsUsed++;
+            this._emit(GAME_EVENT.HINT, { path: move.map((p) => ({ r: p.r, c: p.c })) });
             // highlight the suggested cells briefly
             const hintCells = [];
             for (let p of move) {
@@ -1135,15 +1936,15 @@ export class Grid extends Container {
                         try {
                             border.lineStyle({
                                 width: strokeWidth,
-                                color: 0xff2b20,
+                                color: this.theme.hint.color,
                                 alpha: 1,
                                 alignment: 0,
                             });
                         } catch (e) {
-                            border.lineStyle(strokeWidth, 0xff2b20, 1, 0);
+                            border.lineStyle(strokeWidth, this.theme.hint.color, 1, 0);
                         }
                         try {
-                            border.beginFill(0xff0000, 0.28);
+                            border.beginFill(this.theme.hint.fill, this.theme.hint.fillAlpha);
                         } catch (e) {}
                         border.drawRoundedRect(
                             -size / 2 - pad,
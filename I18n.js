@@ -0,0 +1,107 @@
+import { BehaviorSubject } from 'rxjs';
+import { MESSAGES } from './Messages.js';
+
+// Translated strings, number formatting and text direction. One locale is active at a time;
+// locale$ announces switches so views relabel themselves in place (see Grid, AccessibleBoard).
+//
+//   t('hud.score', { score: 1234 })   -> 'Score: 1,234'
+//   t('shuffles', { count: 2 })        -> '2 shuffles'
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = Object.keys(MESSAGES);
+
+export const locale$ = new BehaviorSubject(DEFAULT_LOCALE);
+
+export function getLocale() {
+    return locale$.getValue();
+}
+
+// supported locale for a tag: exact ('de'), by language ('de-AT' -> 'de'), else null
+function matchLocale(tag) {
+    if (!tag || typeof tag !== 'string') return null;
+    const lower = tag.toLowerCase();
+    if (MESSAGES[lower]) return lower;
+    const language = lower.split(/[-_]/)[0];
+    return MESSAGES[language] ? language : null;
+}
+
+// first of the browser's preferred languages that has a catalog
+export function detectLocale(languages = null) {
+    if (!languages) {
+        const nav = typeof navigator !== 'undefined' ? navigator : {};
+        languages = nav.languages && nav.languages.length ? nav.languages : [nav.language];
+    }
+    for (let tag of languages) {
+        const match = matchLocale(tag);
+        if (match) return match;
+    }
+    return DEFAULT_LOCALE;
+}
+
+/**
+ * Switch the active locale; empty or unsupported tags use detectLocale(). Returns the locale
+ * now active.
+ */
+export function setLocale(tag) {
+    const locale = matchLocale(tag) || detectLocale();
+    if (locale !== getLocale()) locale$.next(locale);
+    return locale;
+}
+
+// meta of a catalog: { name, dir, bitmapFont }
+export function localeInfo(locale = getLocale()) {
+    return (MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE]).meta;
+}
+
+export function isRTL(locale = getLocale()) {
+    return localeInfo(locale).dir === 'rtl';
+}
+
+const numberFormats = new Map();
+
+// locale-aware number: grouping, decimals and digits as the locale writes them
+export function formatNumber(value, options = {}, locale = getLocale()) {
+    const key = `${locale}|${JSON.stringify(options)}`;
+    let format = numberFormats.get(key);
+    if (!format) {
+        try {
+            format = new Intl.NumberFormat(locale, options);
+        } catch (e) {
+            format = new Intl.NumberFormat(DEFAULT_LOCALE, options);
+        }
+        numberFormats.set(key, format);
+    }
+    return format.format(value);
+}
+
+export function formatPercent(fraction, locale = getLocale()) {
+    return formatNumber(fraction, { style: 'percent', maximumFractionDigits: 0 }, locale);
+}
+
+export function formatDate(date, locale = getLocale()) {
+    try {
+        return new Date(date).toLocaleDateString(locale);
+    } catch (e) {
+        return new Date(date).toLocaleDateString();
+    }
+}
+
+/**
+ * Message key in the active locale with {placeholders} filled from params; numbers are
+ * formatted, strings are used as they are. Unknown keys return the key itself.
+ */
+export function t(key, params = {}, locale = getLocale()) {
+    const catalog = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+    let message = catalog[key] ?? MESSAGES[DEFAULT_LOCALE][key];
+    if (message == null) return key;
+    if (typeof message === 'object') {
+        const form = new Intl.PluralRules(locale).select(Number(params.count) || 0);
+        message = message[form] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = params[name];
+        if (value == null) return match;
+        return typeof value === 'number' ? formatNumber(value, {}, locale) : String(value);
+    });
+}
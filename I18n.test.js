@@ -0,0 +1,43 @@
+// Checks of message lookup: placeholders, plurals and fallbacks.
+//
+//   npm test
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { t, setLocale, getLocale, isRTL, DEFAULT_LOCALE } from './I18n.js';
+
+// every test starts from English
+afterEach(() => setLocale(DEFAULT_LOCALE));
+
+test('placeholders are filled and numbers formatted for the locale', () => {
+    assert.equal(t('hud.score', { score: 1234567 }), 'Score: 1,234,567');
+    assert.equal(t('hud.score', { score: 1234567 }, 'de'), 'Punkte: 1.234.567');
+    // strings go in as they are, missing params stay visible
+    assert.equal(t('hud.score', { score: '1234' }), 'Score: 1234');
+    assert.equal(t('hud.score'), 'Score: {score}');
+});
+
+test('plural forms follow the count', () => {
+    assert.equal(t('shuffles', { count: 1 }), '1 shuffle');
+    assert.equal(t('shuffles', { count: 3 }), '3 shuffles');
+    assert.equal(t('shuffles', { count: 0 }), '0 shuffles');
+    assert.equal(t('shuffles', { count: 1 }, 'he'), 'ערבוב אחד');
+    assert.equal(t('shuffles', { count: 2 }, 'he'), '2 ערבובים');
+});
+
+test('the active locale is used unless one is passed', () => {
+    assert.equal(setLocale('es-MX'), 'es');
+    assert.equal(getLocale(), 'es');
+    assert.equal(t('shuffles', { count: 2 }), '2 mezclas');
+    assert.equal(t('shuffles', { count: 2 }, 'en'), '2 shuffles');
+    setLocale('he');
+    assert.ok(isRTL());
+});
+
+test('missing messages fall back to English, then to the key', () => {
+    // only the English catalog has this language-neutral message
+    assert.equal(t('hud.points', { points: 50 }, 'de'), '+50');
+    // unknown locales read the English catalog
+    assert.equal(t('shuffles', { count: 2 }, 'xx'), '2 shuffles');
+    assert.equal(t('no.such.key', {}, 'de'), 'no.such.key');
+});
@@ -0,0 +1,157 @@
+// Keyboard and gamepad control of a Grid through its focus cursor, for players who cannot
+// use touch or a mouse and for TV browsers.
+//
+// keyboard: arrows / WASD move, Space selects (start / extend / backtrack), Enter commits
+//           (or restarts after game over), Escape / Backspace cancels
+// gamepad:  D-pad moves, A selects, X or Start commits, B cancels
+
+const MOVES = {
+    ArrowUp: [-1, 0],
+    KeyW: [-1, 0],
+    ArrowDown: [1, 0],
+    KeyS: [1, 0],
+    ArrowLeft: [0, -1],
+    KeyA: [0, -1],
+    ArrowRight: [0, 1],
+    KeyD: [0, 1],
+};
+
+// standard gamepad mapping button indexes
+const PAD = { A: 0, B: 1, X: 2, START: 9, UP: 12, DOWN: 13, LEFT: 14, RIGHT: 15 };
+const PAD_MOVES = [
+    [PAD.UP, -1, 0],
+    [PAD.DOWN, 1, 0],
+    [PAD.LEFT, 0, -1],
+    [PAD.RIGHT, 0, 1],
+];
+
+export class KeyboardInput {
+    /**
+     * options:
+     *  - target (EventTarget) element receiving key events (default window)
+     *  - gamepad (boolean) poll connected gamepads (default true)
+     *  - repeatDelay / repeatRate (ms) D-pad auto-repeat timing
+     */
+    constructor(grid, options = {}) {
+        const { target = window, gamepad = true, repeatDelay = 300, repeatRate = 120 } = options;
+        this.grid = grid;
+        this.target = target;
+        this.repeatDelay = repeatDelay;
+        this.repeatRate = repeatRate;
+
+        this._onKeyDown = (e) => this._handleKey(e);
+        target.addEventListener('keydown', this._onKeyDown);
+
+        // gamepad state: previous button states and D-pad repeat timers
+        this._padPrev = {};
+        this._padRepeat = {};
+        this._raf = null;
+        this._onPadConnect = () => this._startPolling();
+        if (gamepad && typeof navigator !== 'undefined' && navigator.getGamepads) {
+            window.addEventListener('gamepadconnected', this._onPadConnect);
+            // a pad may already be connected (events only fire for new connections)
+            if (Array.from(navigator.getGamepads()).some(Boolean)) this._startPolling();
+        }
+    }
+
+    destroy() {
+        this.target.removeEventListener('keydown', this._onKeyDown);
+        window.removeEventListener('gamepadconnected', this._onPadConnect);
+        if (this._raf != null) cancelAnimationFrame(this._raf);
+        this._raf = null;
+    }
+
+    // --- shared actions ---
+    _move(dr, dc) {
+        this.grid.moveCursor(dr, dc);
+    }
+
+    _select() {
+        const { cursor } = this.grid;
+        if (!cursor) {
+            this.grid.moveCursor(0, 0);
+            return;
+        }
+        this.grid.selectAt(cursor.r, cursor.c);
+    }
+
+    _commit() {
+        const grid = this.grid;
+        if (grid.gameOver$ && grid.gameOver$.getValue()) {
+            if (grid.restartable) grid.restartGame();
+            return;
+        }
+        grid.commitSelection();
+    }
+
+    _cancel() {
+        this.grid.cancelSelection();
+    }
+
+    // --- keyboard ---
+    _handleKey(e) {
+        // replays and other scripted sessions switch input off
+        if (!this.grid.inputEnabled || e.altKey || e.ctrlKey || e.metaKey) return;
+        const move = MOVES[e.code];
+        if (move) {
+            this._move(move[0], move[1]);
+        } else if (e.code === 'Space') {
+            this._select();
+        } else if (e.code === 'Enter' || e.code === 'NumpadEnter') {
+            this._commit();
+        } else if (e.code === 'Escape' || e.code === 'Backspace') {
+            this._cancel();
+        } else {
+            return;
+        }
+        // keep arrows / space from scrolling the page
+        e.preventDefault();
+    }
+
+    // --- gamepad ---
+    _startPolling() {
+        if (this._raf != null) return;
+        const poll = (now) => {
+            const pads = Array.from(navigator.getGamepads()).filter(Boolean);
+            if (pads.length === 0) {
+                // stop until the next gamepadconnected event
+                this._raf = null;
+                return;
+            }
+            for (let pad of pads) this._pollPad(pad, now);
+            this._raf = requestAnimationFrame(poll);
+        };
+        this._raf = requestAnimationFrame(poll);
+    }
+
+    _pollPad(pad, now) {
+        const prev = this._padPrev[pad.index] || {};
+        const pressed = (i) => !!(pad.buttons[i] && pad.buttons[i].pressed);
+        const justPressed = (i) => this.grid.inputEnabled && pressed(i) && !prev[i];
+
+        for (let [btn, dr, dc] of PAD_MOVES) {
+            const key = `${pad.index}:${btn}`;
+            if (justPressed(btn)) {
+                this._move(dr, dc);
+                this._padRepeat[key] = now + this.repeatDelay;
+            } else if (
+                this.grid.inputEnabled &&
+                pressed(btn) &&
+                now >= (this._padRepeat[key] || Infinity)
+            ) {
+                // held D-pad auto-repeats
+                this._move(dr, dc);
+                this._padRepeat[key] = now + this.repeatRate;
+            } else if (!pressed(btn)) {
+                delete this._padRepeat[key];
+            }
+        }
+        if (justPressed(PAD.A)) this._select();
+        if (justPressed(PAD.X) || justPressed(PAD.START)) this._commit();
+        if (justPressed(PAD.B)) this._cancel();
+
+        const next = {};
+        pad.buttons.forEach((b, i) => (next[i] = b.pressed));
+        this._padPrev[pad.index] = next;
+    }
+}
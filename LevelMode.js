@@ -0,0 +1,89 @@
+import { Grid } from './Grid.js';
+import { hashSeed } from './Random.js';
+import { LevelSession } from './Levels.js';
+import { t, formatNumber } from './I18n.js';
+
+// board for a level definition (see Levels.js); levels allow no undo unless they say so. Levels
+// without a seed get one from their id, so every attempt deals the same board.
+export function createLevelGrid(level, options = {}) {
+    return new Grid(level.rows, level.cols, {
+        ...options,
+        values: level.values || undefined,
+        weights: level.weights || undefined,
+        boardLayout: level.layout || null,
+        specials: level.specials || {},
+        seed: level.seed ?? hashSeed(`level:${level.id}`),
+        undoLimit: level.undoLimit ?? 0,
+        shuffles: level.shuffles ?? 1,
+        mode: 'level',
+        // a retry goes through the level list or result dialog, which keep the level's seed
+        restartable: false,
+    });
+}
+
+/**
+ * Runs one level on a Grid: counts moves and objectives, shows them in statusText and
+ * resolves with 'won' or 'lost' once a move settles with the level decided (pointer input is
+ * switched off at that point), or 'quit' when the grid is destroyed first.
+ */
+export function playLevel(grid, level, statusText = null) {
+    return new Promise((resolve) => {
+        const session = new LevelSession(level);
+
+        const render = () => {
+            if (!statusText) return;
+            const lines = [t('levels.movesLeft', { moves: session.movesLeft })];
+            for (let o of session.objectives()) {
+                const shown = formatNumber(Math.min(o.current, o.target));
+                lines.push(`${o.done ? '✓' : '•'} ${o.label}  ${shown}/${formatNumber(o.target)}`);
+            }
+            try {
+                statusText.text = lines.join('\n');
+            } catch (e) {}
+        };
+
+        let subs = [];
+        const finish = (result) => {
+            subs.forEach((s) => s.unsubscribe());
+            subs = [];
+            grid.off('destroyed', onDestroyed);
+            resolve(result);
+        };
+        const onDestroyed = () => finish('quit');
+
+        // decided only between moves, so a last-move cascade can still complete objectives
+        const check = () => {
+            const over = grid.gameOver$ ? grid.gameOver$.getValue() : false;
+            const status = session.status(!over);
+            if (status === 'playing') return;
+            grid.inputEnabled = false;
+            finish(status);
+        };
+
+        subs = [
+            grid.history$.subscribe((ev) => {
+                if (ev.type === 'commit') {
+                    session.recordMove();
+                } else if (ev.type === 'undo') {
+                    session.undoMove();
+                    session.setScore(grid.score);
+                } else if (ev.type === 'restart') {
+                    // scripted restarts (replays) start the level over
+                    session.reset();
+                }
+                render();
+            }),
+            grid.scoreEvents$.subscribe((ev) => {
+                // collected gold creates nothing
+                if (ev.result != null) session.recordMerge(ev.result);
+                session.setScore(ev.total);
+                render();
+            }),
+            grid.stateChanged$.subscribe(check),
+        ];
+        grid.once('destroyed', onDestroyed);
+        render();
+        // a layout can start without moves (and without a shuffle to fix it)
+        check();
+    });
+}
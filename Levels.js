@@ -0,0 +1,168 @@
+// Level mode rules (renderer-free): level definitions, objective tracking for a run and the
+// player's progress through the level list.
+//
+// Level definition (see levels.json):
+// {
+//   id: '1-1', name: 'First Steps',
+//   rows: 6, cols: 6,
+//   values: [...], weights: [...],       // optional, default board values / weights
+//   layout: [[1, 5, null, 'X', ...], ...], // optional starting cells; null cells are random,
+//                                         // strings are special tiles (see Tiles.js)
+//   specials: { wild: 0.02, bomb: 0.01 }, // optional special tile spawn chances
+//   shuffles: 1,                         // optional free shuffles when out of moves
+//   moves: 15,                           // move limit
+//   objectives: [
+//     { type: 'create', value: 100, count: 3 },   // create three 100s
+//     { type: 'score', target: 2000 },            // reach 2,000 points
+//   ],
+//   seed: 42,                            // optional, default derived from the id
+// }
+
+import { parseLayoutToken } from './Tiles.js';
+import { t } from './I18n.js';
+import { getStorage } from './Storage.js';
+
+export const LEVEL_PROGRESS_KEY = 'cashcow.levels';
+
+const OBJECTIVE_TYPES = ['create', 'score'];
+
+// validate a definition and fill in defaults; throws on malformed levels
+export function validateLevel(def) {
+    const fail = (msg) => {
+        throw new Error(`Level "${def && def.id}": ${msg}`);
+    };
+    if (!def || typeof def !== 'object') throw new Error('Level definition must be an object');
+    if (typeof def.id !== 'string' || !def.id) fail('id is required');
+    const rows = Number(def.rows) || 8;
+    const cols = Number(def.cols) || 8;
+    if (!Number.isInteger(rows) || !Number.isInteger(cols) || rows < 2 || cols < 2)
+        fail('rows and cols must be integers >= 2');
+    if (!Number.isInteger(def.moves) || def.moves < 1) fail('moves must be a positive integer');
+    if (!Array.isArray(def.objectives) || def.objectives.length === 0)
+        fail('at least one objective is required');
+    for (let o of def.objectives) {
+        if (!o || !OBJECTIVE_TYPES.includes(o.type))
+            fail(`unknown objective type "${o && o.type}"`);
+        if (o.type === 'create' && !(Number.isFinite(o.value) && Number.isInteger(o.count)))
+            fail('create objectives need a value and a count');
+        if (o.type === 'score' && !Number.isFinite(o.target))
+            fail('score objectives need a target');
+    }
+    if (def.layout != null) {
+        if (!Array.isArray(def.layout) || def.layout.length !== rows)
+            fail('layout must have one entry per row');
+        if (def.layout.some((row) => !Array.isArray(row) || row.length !== cols))
+            fail('layout rows must have one entry per column');
+        for (let row of def.layout) {
+            for (let token of row) {
+                try {
+                    parseLayoutToken(token);
+                } catch (e) {
+                    fail(e.message);
+                }
+            }
+        }
+    }
+    return { ...def, rows, cols, name: def.name || def.id };
+}
+
+export function objectiveLabel(o) {
+    if (o.type === 'create') return t('levels.create', { count: o.count, value: o.value });
+    return t('levels.reach', { target: o.target });
+}
+
+// objective and move-limit bookkeeping for one attempt at a level
+export class LevelSession {
+    constructor(level) {
+        this.level = level;
+        this.reset();
+    }
+
+    reset() {
+        this.movesUsed = 0;
+        this.score = 0;
+        // created tile counts by value
+        this.created = {};
+        // merge results of each move, so undo can take them back
+        this._moves = [];
+    }
+
+    get movesLeft() {
+        return Math.max(0, this.level.moves - this.movesUsed);
+    }
+
+    recordMove() {
+        this.movesUsed++;
+        this._moves.push([]);
+    }
+
+    // every merge result counts, including autoMerge cascades
+    recordMerge(result) {
+        this.created[result] = (this.created[result] || 0) + 1;
+        if (this._moves.length) this._moves[this._moves.length - 1].push(result);
+    }
+
+    // take back the last move and what it created (the score is set by the caller)
+    undoMove() {
+        const results = this._moves.pop();
+        if (!results) return;
+        this.movesUsed--;
+        for (let result of results) this.created[result]--;
+    }
+
+    setScore(score) {
+        this.score = Number(score) || 0;
+    }
+
+    // [{ type, label, current, target, done }]
+    objectives() {
+        return this.level.objectives.map((o) => {
+            const current = o.type === 'create' ? this.created[o.value] || 0 : this.score;
+            const target = o.type === 'create' ? o.count : o.target;
+            return {
+                type: o.type,
+                label: objectiveLabel(o),
+                current,
+                target,
+                done: current >= target,
+            };
+        });
+    }
+
+    get complete() {
+        return this.objectives().every((o) => o.done);
+    }
+
+    // 'won', 'lost' or 'playing'; hasMoves is false when the board has no legal merge left
+    status(hasMoves = true) {
+        if (this.complete) return 'won';
+        if (this.movesLeft === 0 || !hasMoves) return 'lost';
+        return 'playing';
+    }
+}
+
+// { completed: [level ids] }
+export function loadLevelProgress(storage) {
+    const store = getStorage(storage);
+    try {
+        const data = store && JSON.parse(store.getItem(LEVEL_PROGRESS_KEY));
+        if (data && Array.isArray(data.completed)) return { completed: data.completed.slice() };
+    } catch (e) {}
+    return { completed: [] };
+}
+
+export function markLevelComplete(id, storage) {
+    const store = getStorage(storage);
+    const progress = loadLevelProgress(store);
+    if (!progress.completed.includes(id)) progress.completed.push(id);
+    try {
+        store && store.setItem(LEVEL_PROGRESS_KEY, JSON.stringify(progress));
+    } catch (e) {}
+    return progress;
+}
+
+// index of the furthest playable level: everything up to the first uncompleted one
+export function unlockedLevelIndex(levels, progress) {
+    const i = levels.findIndex((l) => !progress.completed.includes(l.id));
+    return i === -1 ? levels.length - 1 : i;
+}
@@ -0,0 +1,79 @@
+import { Container, Graphics, Text } from 'pixi.js';
+
+/**
+ * Modal list of text buttons centered on (0,0) of the parent; resolves with the value of the
+ * chosen item.
+ * options:
+ *  - title (string) heading above the buttons
+ *  - message (string) smaller text under the title
+ *  - items ({ label, value, disabled }[]) buttons, top to bottom
+ *  - width (number) dialog width (default 360)
+ */
+export function showMenu(parent, { title = '', message = '', items = [], width = 360 } = {}) {
+    return new Promise((resolve) => {
+        const dialog = new Container();
+        dialog.label = 'menu';
+        const rowHeight = 44;
+        const headerHeight = (title ? 48 : 0) + (message ? 28 * message.split('\n').length : 0);
+        const height = headerHeight + items.length * rowHeight + 32;
+        let y = -height / 2 + 16;
+
+        const bg = new Graphics();
+        bg.beginFill(0x000000, 0.8);
+        bg.drawRoundedRect(-width / 2, -height / 2, width, height, 12);
+        bg.endFill();
+        // swallow taps so the board underneath stays untouched
+        bg.interactive = true;
+        dialog.addChild(bg);
+
+        if (title) {
+            const heading = new Text(title, { fontFamily: 'Arial', fontSize: 30, fill: '#ffe066' });
+            heading.anchor = { x: 0.5, y: 0 };
+            heading.y = y;
+            dialog.addChild(heading);
+            y += 48;
+        }
+        if (message) {
+            const body = new Text(message, {
+                fontFamily: 'Arial',
+                fontSize: 18,
+                fill: '#cbd5e1',
+                align: 'center',
+            });
+            body.anchor = { x: 0.5, y: 0 };
+            body.y = y;
+            dialog.addChild(body);
+            y += 28 * message.split('\n').length;
+        }
+
+        const btnStyle = { fontFamily: 'Arial', fontSize: 24, fill: '#ffffff' };
+        for (let item of items) {
+            const btn = new Text(item.label, btnStyle);
+            btn.anchor = { x: 0.5, y: 0.5 };
+            btn.y = y + rowHeight / 2;
+            if (item.disabled) {
+                btn.alpha = 0.35;
+            } else {
+                btn.interactive = true;
+                btn.buttonMode = true;
+                btn.on('pointertap', () => {
+                    parent.removeChild(dialog);
+                    dialog.destroy({ children: true });
+                    resolve(item.value);
+                });
+            }
+            dialog.addChild(btn);
+            y += rowHeight;
+        }
+        parent.addChild(dialog);
+    });
+}
+
+// remove every open menu from parent; their promises never resolve
+export function closeMenus(parent) {
+    for (let child of parent.children.slice()) {
+        if (child.label !== 'menu') continue;
+        parent.removeChild(child);
+        child.destroy({ children: true });
+    }
+}
@@ -0,0 +1,66 @@
+// Declarative merge rules. A recipe says which values may chain together in one selection,
+// which sums are legal and what each legal sum turns into:
+//
+// {
+//   id: 'coins',
+//   members: [5, 10],     // values allowed in the chain; 'same' = any value, all cells equal
+//   sums: 'ladder',       // 'ladder' = the sum must be a board value and becomes that value,
+//                         // or an explicit table { [sum]: result }
+//   minLength: 2,         // fewest cells for this recipe (never below the board minimum)
+// }
+//
+// Recipes are consulted in order; the first one accepting a path and its sum wins.
+
+export const DEFAULT_RECIPES = [
+    // equal values, e.g. 5 x 1 -> 5, 2 x 25 -> 50
+    { id: 'same', members: 'same', sums: 'ladder', minLength: 2 },
+    // 5s and 10s mix, e.g. 5 + 10 + 10 -> 25
+    { id: 'coins', members: [5, 10], sums: 'ladder', minLength: 2 },
+];
+
+// validate recipes and fill in defaults; throws on malformed definitions
+export function normalizeRecipes(recipes = DEFAULT_RECIPES, minCollectLen = 2) {
+    if (!Array.isArray(recipes) || recipes.length === 0)
+        throw new Error('Merge recipes must be a non-empty array');
+    return recipes.map((recipe, i) => {
+        const { id = `recipe${i}`, members = 'same', sums = 'ladder', minLength } = recipe || {};
+        if (members !== 'same' && !(Array.isArray(members) && members.every(Number.isFinite)))
+            throw new Error(`Merge recipe "${id}": members must be 'same' or a list of numbers`);
+        if (sums !== 'ladder' && (typeof sums !== 'object' || sums === null))
+            throw new Error(`Merge recipe "${id}": sums must be 'ladder' or a { sum: result } map`);
+        let table = null;
+        if (sums !== 'ladder') {
+            table = {};
+            for (let [sum, result] of Object.entries(sums)) {
+                if (!Number.isFinite(Number(sum)) || !Number.isFinite(Number(result)))
+                    throw new Error(`Merge recipe "${id}": sums entries must be numbers`);
+                table[Number(sum)] = Number(result);
+            }
+        }
+        return {
+            id,
+            members: members === 'same' ? 'same' : members.map(Number),
+            sums: table || 'ladder',
+            minLength: Math.max(minCollectLen, Number(minLength) || minCollectLen),
+        };
+    });
+}
+
+// true when every value may be part of one chain under this recipe
+export function recipeAccepts(recipe, values) {
+    if (values.length === 0) return true;
+    if (recipe.members === 'same') return values.every((v) => v === values[0]);
+    return values.every((v) => recipe.members.includes(v));
+}
+
+// merged value produced by a legal sum, or null
+export function recipeResult(recipe, sum, ladder) {
+    if (recipe.sums === 'ladder') return ladder.includes(sum) ? sum : null;
+    const result = recipe.sums[sum];
+    return result == null ? null : result;
+}
+
+// every legal sum of a recipe (used to bound searches)
+export function recipeSums(recipe, ladder) {
+    return recipe.sums === 'ladder' ? ladder.slice() : Object.keys(recipe.sums).map(Number);
+}
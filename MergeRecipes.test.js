@@ -0,0 +1,76 @@
+// Checks of the declarative merge rules and of a board playing a custom recipe table.
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeRecipes,
+    recipeAccepts,
+    recipeResult,
+    recipeSums,
+    DEFAULT_RECIPES,
+} from './MergeRecipes.js';
+import { BoardModel } from './BoardModel.js';
+
+const at = (r, c) => ({ r, c });
+const LADDER = [1, 5, 10, 25, 50, 100];
+
+test('recipes are filled in with defaults and never go below the board minimum', () => {
+    const [recipe] = normalizeRecipes([{ sums: { 3: '5' }, minLength: 1 }], 3);
+    assert.deepEqual(recipe, { id: 'recipe0', members: 'same', sums: { 3: 5 }, minLength: 3 });
+    assert.deepEqual(
+        normalizeRecipes().map((r) => r.id),
+        DEFAULT_RECIPES.map((r) => r.id)
+    );
+});
+
+test('malformed recipe tables are rejected', () => {
+    assert.throws(() => normalizeRecipes([]), /non-empty array/);
+    assert.throws(() => normalizeRecipes([{ id: 'x', members: [1, 'a'] }]), /"x": members/);
+    assert.throws(() => normalizeRecipes([{ id: 'x', sums: 'double' }]), /"x": sums must/);
+    assert.throws(() => normalizeRecipes([{ id: 'x', sums: { 2: 'two' } }]), /entries/);
+});
+
+test('members decide which values may chain', () => {
+    const [same, coins] = normalizeRecipes();
+    assert.ok(recipeAccepts(same, [25, 25]));
+    assert.ok(!recipeAccepts(same, [25, 5]));
+    assert.ok(recipeAccepts(coins, [5, 10, 5]));
+    assert.ok(!recipeAccepts(coins, [5, 1]));
+    assert.ok(recipeAccepts(coins, []));
+});
+
+test('a sums table maps its own sums and ignores the ladder', () => {
+    const [ladder, table] = normalizeRecipes([
+        { members: 'same' },
+        { members: [1, 5], sums: { 6: 10, 7: 25 } },
+    ]);
+    assert.equal(recipeResult(ladder, 50, LADDER), 50);
+    assert.equal(recipeResult(ladder, 30, LADDER), null);
+    assert.equal(recipeResult(table, 7, LADDER), 25);
+    assert.equal(recipeResult(table, 5, LADDER), null);
+    assert.deepEqual(recipeSums(table, LADDER), [6, 7]);
+    assert.deepEqual(recipeSums(ladder, LADDER), LADDER);
+});
+
+test('a board follows a custom recipe table in order', () => {
+    const recipes = [
+        // a 1 next to a 5 makes a 10
+        { id: 'pair', members: [1, 5], sums: { 6: 10 } },
+        // three or more equal tiles move one step up the ladder
+        { id: 'triple', members: 'same', sums: { 3: 5, 15: 10, 30: 25 }, minLength: 3 },
+    ];
+    const cells = [
+        [1, 5, 10],
+        [5, 5, 5],
+    ];
+    const model = new BoardModel(2, 3, { recipes, cells });
+    // the default recipes would merge these, the custom ones do not
+    assert.equal(model.applyMerge([at(1, 0), at(1, 1)]), null);
+    assert.equal(model.applyMerge([at(0, 2), at(1, 2)]), null);
+    assert.equal(model.applyMerge([at(1, 0), at(1, 1), at(1, 2)]).result, 10);
+    assert.equal(model.applyMerge([at(0, 0), at(0, 1)]).result, 10);
+    // clones keep the table
+    assert.deepEqual(model.clone().recipes, model.recipes);
+});
@@ -0,0 +1,465 @@
+// Message catalogs for I18n.js, one per locale. Keys missing from a catalog fall back to
+// English. {name} placeholders are filled from t()'s params (numbers are formatted for the
+// locale); a message given as { one, other, ... } is picked by the plural form of params.count.
+//
+// meta: name (shown in the language setting), dir ('ltr' | 'rtl') and bitmapFont (false when
+// the bitmap font has no glyphs for the script, so the HUD switches to a system font).
+
+export const MESSAGES = {
+    en: {
+        meta: { name: 'English', dir: 'ltr', bitmapFont: true },
+
+        loading: 'Loading {percent}%',
+
+        'hud.score': 'Score: {score}',
+        'hud.time': 'Time: {time}',
+        'hud.undo': 'Undo',
+        'hud.redo': 'Redo',
+        'hud.menu': 'Menu',
+        'hud.sound': 'Sound',
+        'hud.soundOff': 'Sound: off',
+        'hud.newBest': 'New best score!',
+        'hud.points': '+{points}',
+        'hud.goldCollected': 'gold collected +{bonus}',
+        'hud.combo': 'combo x{multiplier}',
+        'hud.cascade': 'cascade x{multiplier}',
+        'hud.longPath': 'long path +{bonus}',
+        'hud.goldBonus': 'gold +{bonus}',
+        'hud.shuffled': 'No moves: shuffled ({shuffles} left)',
+        'hud.dealt': 'No moves: new tiles dealt ({shuffles} left)',
+        shuffles: { one: '{count} shuffle', other: '{count} shuffles' },
+
+        'grid.gameOver': 'Game Over',
+        'grid.restart': 'Restart',
+        'grid.stats': 'Stats',
+        'grid.hint': 'Hint',
+        'arcade.timeUp': "Time's Up!",
+
+        'mode.endless': 'Endless',
+        'mode.arcade': 'Arcade',
+        'mode.level': 'Level',
+        'mode.daily': 'Daily',
+
+        'menu.continue': 'Continue',
+        'menu.daily': 'Daily Challenge',
+        'menu.endless': 'Endless',
+        'menu.arcade': 'Arcade',
+        'menu.levels': 'Levels',
+        'menu.stats': 'Stats',
+        'menu.settings': 'Settings',
+        'menu.back': 'Back',
+
+        'stats.title': 'Stats',
+        'stats.empty': 'No finished games yet',
+        'stats.games': 'Games: {games}   Average: {average}',
+        'stats.records': 'Longest path: {path}   Biggest merge: {merge}',
+        'stats.gold': 'Gold made: {made}   collected: {collected}',
+        'stats.hints': 'Hints used: {hints}',
+        'stats.next': 'Next board',
+        'stats.close': 'Close',
+
+        'levels.title': 'Levels',
+        'levels.complete': 'Level Complete!',
+        'levels.failed': 'Level Failed',
+        'levels.result': '{name}\nScore: {score}',
+        'levels.next': 'Next Level',
+        'levels.retry': 'Retry',
+        'levels.movesLeft': 'Moves left: {moves}',
+        'levels.create': 'Create {count} x {value}',
+        'levels.reach': 'Reach {target} points',
+
+        'daily.title': 'Daily Challenge',
+        'daily.result': 'Score: {score}\nMoves: {moves}   Best merge: {merge}',
+        'daily.done': 'Come back tomorrow for a new board.',
+        'daily.share': 'Share',
+        'daily.shared': 'Shared!',
+        'daily.copied': 'Copied to the clipboard',
+        'daily.shareFailed': 'Sharing is not available here',
+        'daily.shareTitle': 'Cash Cow Daily {date}',
+        'daily.shareLine': 'Score {score} · {moves} · best merge {merge}',
+        'daily.moves': { one: '{count} move', other: '{count} moves' },
+
+        'settings.title': 'Settings',
+        'settings.volume': 'Volume: {percent}',
+        'settings.effects': 'Effects: {percent}',
+        'settings.music': 'Music: {percent}',
+        'settings.soundOn': 'Sound: On',
+        'settings.soundOff': 'Sound: Off',
+        'settings.theme': 'Theme: {name}',
+        'settings.shapesOn': 'Shapes: On',
+        'settings.shapesAuto': 'Shapes: Auto',
+        'settings.language': 'Language: {name}',
+        'settings.languageAuto': 'Automatic',
+
+        'theme.dark': 'Dark',
+        'theme.light': 'Light',
+        'theme.high-contrast': 'High Contrast',
+        'theme.colorblind': 'Colorblind Safe',
+
+        'a11y.board': 'Cash Cow board',
+        'a11y.blocked': 'blocked',
+        'a11y.wild': 'wild',
+        'a11y.empty': 'empty',
+        'a11y.bomb': '{tile} bomb',
+        'a11y.locked': '{tile} locked',
+        'a11y.gold': '{tile} gold',
+        'a11y.cell': '{tile}, row {row} column {col}',
+        'a11y.at': '{tile} at row {row} column {col}',
+        'a11y.then': ', then ',
+        'a11y.score': 'Score {score}.',
+        'a11y.path': 'Path: {tiles}.',
+        'a11y.cleared': 'Selection cleared.',
+        'a11y.invalid': 'These tiles do not merge.',
+        'a11y.merged': 'Merged {count} tiles into {value}.',
+        'a11y.cascade': 'Cascade: {count} tiles merged into {value}.',
+        'a11y.collected': 'Collected {value}.',
+        'a11y.newGame': 'New game.',
+        'a11y.shuffled': 'No moves left, board shuffled. {shuffles} left.',
+        'a11y.hint': 'Hint: {steps}.',
+        'a11y.gameOver': '{message}. Final score {score}. Press Enter for a new game.',
+        'a11y.gameOverFinal': '{message}. Final score {score}.',
+        'a11y.cannotSelect': 'Cannot select {tile}.',
+    },
+
+    es: {
+        meta: { name: 'Español', dir: 'ltr', bitmapFont: true },
+
+        loading: 'Cargando {percent}%',
+
+        'hud.score': 'Puntos: {score}',
+        'hud.time': 'Tiempo: {time}',
+        'hud.undo': 'Deshacer',
+        'hud.redo': 'Rehacer',
+        'hud.menu': 'Menú',
+        'hud.sound': 'Sonido',
+        'hud.soundOff': 'Sonido: no',
+        'hud.newBest': '¡Nuevo récord!',
+        'hud.goldCollected': 'oro recogido +{bonus}',
+        'hud.combo': 'combo x{multiplier}',
+        'hud.cascade': 'cascada x{multiplier}',
+        'hud.longPath': 'camino largo +{bonus}',
+        'hud.goldBonus': 'oro +{bonus}',
+        'hud.shuffled': 'Sin jugadas: tablero mezclado (quedan {shuffles})',
+        'hud.dealt': 'Sin jugadas: fichas nuevas (quedan {shuffles})',
+        shuffles: { one: '{count} mezcla', other: '{count} mezclas' },
+
+        'grid.gameOver': 'Fin de la partida',
+        'grid.restart': 'Reiniciar',
+        'grid.stats': 'Estadísticas',
+        'grid.hint': 'Pista',
+        'arcade.timeUp': '¡Se acabó el tiempo!',
+
+        'mode.endless': 'Sin fin',
+        'mode.arcade': 'Arcade',
+        'mode.level': 'Nivel',
+        'mode.daily': 'Diario',
+
+        'menu.continue': 'Continuar',
+        'menu.daily': 'Reto diario',
+        'menu.endless': 'Sin fin',
+        'menu.arcade': 'Arcade',
+        'menu.levels': 'Niveles',
+        'menu.stats': 'Estadísticas',
+        'menu.settings': 'Ajustes',
+        'menu.back': 'Volver',
+
+        'stats.title': 'Estadísticas',
+        'stats.empty': 'Aún no hay partidas terminadas',
+        'stats.games': 'Partidas: {games}   Media: {average}',
+        'stats.records': 'Camino más largo: {path}   Mayor fusión: {merge}',
+        'stats.gold': 'Oro creado: {made}   recogido: {collected}',
+        'stats.hints': 'Pistas usadas: {hints}',
+        'stats.next': 'Siguiente tablero',
+        'stats.close': 'Cerrar',
+
+        'levels.title': 'Niveles',
+        'levels.complete': '¡Nivel superado!',
+        'levels.failed': 'Nivel fallido',
+        'levels.result': '{name}\nPuntos: {score}',
+        'levels.next': 'Siguiente nivel',
+        'levels.retry': 'Reintentar',
+        'levels.movesLeft': 'Movimientos: {moves}',
+        'levels.create': 'Crea {count} x {value}',
+        'levels.reach': 'Consigue {target} puntos',
+
+        'daily.title': 'Reto diario',
+        'daily.result': 'Puntos: {score}\nMovimientos: {moves}   Mayor fusión: {merge}',
+        'daily.done': 'Vuelve mañana para un tablero nuevo.',
+        'daily.share': 'Compartir',
+        'daily.shared': '¡Compartido!',
+        'daily.copied': 'Copiado al portapapeles',
+        'daily.shareFailed': 'No se puede compartir aquí',
+        'daily.shareTitle': 'Cash Cow diario {date}',
+        'daily.shareLine': 'Puntos {score} · {moves} · mayor fusión {merge}',
+        'daily.moves': { one: '{count} movimiento', other: '{count} movimientos' },
+
+        'settings.title': 'Ajustes',
+        'settings.volume': 'Volumen: {percent}',
+        'settings.effects': 'Efectos: {percent}',
+        'settings.music': 'Música: {percent}',
+        'settings.soundOn': 'Sonido: sí',
+        'settings.soundOff': 'Sonido: no',
+        'settings.theme': 'Tema: {name}',
+        'settings.shapesOn': 'Formas: sí',
+        'settings.shapesAuto': 'Formas: auto',
+        'settings.language': 'Idioma: {name}',
+        'settings.languageAuto': 'Automático',
+
+        'theme.dark': 'Oscuro',
+        'theme.light': 'Claro',
+        'theme.high-contrast': 'Alto contraste',
+        'theme.colorblind': 'Apto para daltónicos',
+
+        'a11y.board': 'Tablero de Cash Cow',
+        'a11y.blocked': 'bloqueada',
+        'a11y.wild': 'comodín',
+        'a11y.empty': 'vacía',
+        'a11y.bomb': '{tile} bomba',
+        'a11y.locked': '{tile} bloqueada',
+        'a11y.gold': '{tile} oro',
+        'a11y.cell': '{tile}, fila {row} columna {col}',
+        'a11y.at': '{tile} en fila {row} columna {col}',
+        'a11y.then': ', luego ',
+        'a11y.score': 'Puntos {score}.',
+        'a11y.path': 'Camino: {tiles}.',
+        'a11y.cleared': 'Selección borrada.',
+        'a11y.invalid': 'Estas fichas no se fusionan.',
+        'a11y.merged': '{count} fichas fusionadas en {value}.',
+        'a11y.cascade': 'Cascada: {count} fichas fusionadas en {value}.',
+        'a11y.collected': 'Recogido {value}.',
+        'a11y.newGame': 'Nueva partida.',
+        'a11y.shuffled': 'Sin jugadas, tablero mezclado. Quedan {shuffles}.',
+        'a11y.hint': 'Pista: {steps}.',
+        'a11y.gameOver': '{message}. Puntuación final {score}. Pulsa Intro para jugar otra vez.',
+        'a11y.gameOverFinal': '{message}. Puntuación final {score}.',
+        'a11y.cannotSelect': 'No se puede elegir {tile}.',
+    },
+
+    de: {
+        meta: { name: 'Deutsch', dir: 'ltr', bitmapFont: true },
+
+        loading: 'Lädt {percent}%',
+
+        'hud.score': 'Punkte: {score}',
+        'hud.time': 'Zeit: {time}',
+        'hud.undo': 'Zurück',
+        'hud.redo': 'Wieder',
+        'hud.menu': 'Menü',
+        'hud.sound': 'Ton',
+        'hud.soundOff': 'Ton: aus',
+        'hud.newBest': 'Neuer Rekord!',
+        'hud.goldCollected': 'Gold eingesammelt +{bonus}',
+        'hud.combo': 'Kombo x{multiplier}',
+        'hud.cascade': 'Kaskade x{multiplier}',
+        'hud.longPath': 'langer Pfad +{bonus}',
+        'hud.goldBonus': 'Gold +{bonus}',
+        'hud.shuffled': 'Keine Züge: gemischt (noch {shuffles})',
+        'hud.dealt': 'Keine Züge: neue Steine (noch {shuffles})',
+        shuffles: { one: '{count} Mischen', other: '{count} Mischen' },
+
+        'grid.gameOver': 'Spiel vorbei',
+        'grid.restart': 'Neustart',
+        'grid.stats': 'Statistik',
+        'grid.hint': 'Tipp',
+        'arcade.timeUp': 'Zeit abgelaufen!',
+
+        'mode.endless': 'Endlos',
+        'mode.arcade': 'Arcade',
+        'mode.level': 'Level',
+        'mode.daily': 'Täglich',
+
+        'menu.continue': 'Fortsetzen',
+        'menu.daily': 'Tagesaufgabe',
+        'menu.endless': 'Endlos',
+        'menu.arcade': 'Arcade',
+        'menu.levels': 'Level',
+        'menu.stats': 'Statistik',
+        'menu.settings': 'Einstellungen',
+        'menu.back': 'Zurück',
+
+        'stats.title': 'Statistik',
+        'stats.empty': 'Noch keine beendeten Spiele',
+        'stats.games': 'Spiele: {games}   Schnitt: {average}',
+        'stats.records': 'Längster Pfad: {path}   Größte Fusion: {merge}',
+        'stats.gold': 'Gold erzeugt: {made}   eingesammelt: {collected}',
+        'stats.hints': 'Tipps genutzt: {hints}',
+        'stats.next': 'Nächstes Brett',
+        'stats.close': 'Schließen',
+
+        'levels.title': 'Level',
+        'levels.complete': 'Level geschafft!',
+        'levels.failed': 'Level verloren',
+        'levels.result': '{name}\nPunkte: {score}',
+        'levels.next': 'Nächstes Level',
+        'levels.retry': 'Nochmal',
+        'levels.movesLeft': 'Züge übrig: {moves}',
+        'levels.create': 'Erzeuge {count} x {value}',
+        'levels.reach': 'Erreiche {target} Punkte',
+
+        'daily.title': 'Tagesaufgabe',
+        'daily.result': 'Punkte: {score}\nZüge: {moves}   Größte Fusion: {merge}',
+        'daily.done': 'Morgen gibt es ein neues Brett.',
+        'daily.share': 'Teilen',
+        'daily.shared': 'Geteilt!',
+        'daily.copied': 'In die Zwischenablage kopiert',
+        'daily.shareFailed': 'Teilen ist hier nicht möglich',
+        'daily.shareTitle': 'Cash Cow Tagesaufgabe {date}',
+        'daily.shareLine': 'Punkte {score} · {moves} · größte Fusion {merge}',
+        'daily.moves': { one: '{count} Zug', other: '{count} Züge' },
+
+        'settings.title': 'Einstellungen',
+        'settings.volume': 'Lautstärke: {percent}',
+        'settings.effects': 'Effekte: {percent}',
+        'settings.music': 'Musik: {percent}',
+        'settings.soundOn': 'Ton: an',
+        'settings.soundOff': 'Ton: aus',
+        'settings.theme': 'Farben: {name}',
+        'settings.shapesOn': 'Formen: an',
+        'settings.shapesAuto': 'Formen: auto',
+        'settings.language': 'Sprache: {name}',
+        'settings.languageAuto': 'Automatisch',
+
+        'theme.dark': 'Dunkel',
+        'theme.light': 'Hell',
+        'theme.high-contrast': 'Hoher Kontrast',
+        'theme.colorblind': 'Farbenblind-sicher',
+
+        'a11y.board': 'Cash-Cow-Spielbrett',
+        'a11y.blocked': 'blockiert',
+        'a11y.wild': 'Joker',
+        'a11y.empty': 'leer',
+        'a11y.bomb': '{tile} Bombe',
+        'a11y.locked': '{tile} gesperrt',
+        'a11y.gold': '{tile} Gold',
+        'a11y.cell': '{tile}, Zeile {row} Spalte {col}',
+        'a11y.at': '{tile} in Zeile {row} Spalte {col}',
+        'a11y.then': ', dann ',
+        'a11y.score': 'Punkte {score}.',
+        'a11y.path': 'Pfad: {tiles}.',
+        'a11y.cleared': 'Auswahl aufgehoben.',
+        'a11y.invalid': 'Diese Steine lassen sich nicht verbinden.',
+        'a11y.merged': '{count} Steine zu {value} verbunden.',
+        'a11y.cascade': 'Kaskade: {count} Steine zu {value} verbunden.',
+        'a11y.collected': '{value} eingesammelt.',
+        'a11y.newGame': 'Neues Spiel.',
+        'a11y.shuffled': 'Keine Züge mehr, Brett gemischt. Noch {shuffles}.',
+        'a11y.hint': 'Tipp: {steps}.',
+        'a11y.gameOver': '{message}. Endstand {score}. Enter startet ein neues Spiel.',
+        'a11y.gameOverFinal': '{message}. Endstand {score}.',
+        'a11y.cannotSelect': '{tile} kann nicht gewählt werden.',
+    },
+
+    he: {
+        meta: { name: 'עברית', dir: 'rtl', bitmapFont: false },
+
+        loading: 'טוען {percent}%',
+
+        'hud.score': 'ניקוד: {score}',
+        'hud.time': 'זמן: {time}',
+        'hud.undo': 'בטל',
+        'hud.redo': 'בצע שוב',
+        'hud.menu': 'תפריט',
+        'hud.sound': 'צליל',
+        'hud.soundOff': 'צליל: כבוי',
+        'hud.newBest': 'שיא חדש!',
+        'hud.goldCollected': 'זהב נאסף +{bonus}',
+        'hud.combo': 'קומבו x{multiplier}',
+        'hud.cascade': 'מפל x{multiplier}',
+        'hud.longPath': 'מסלול ארוך +{bonus}',
+        'hud.goldBonus': 'זהב +{bonus}',
+        'hud.shuffled': 'אין מהלכים: הלוח עורבב (נותרו {shuffles})',
+        'hud.dealt': 'אין מהלכים: חולקו אריחים חדשים (נותרו {shuffles})',
+        shuffles: { one: 'ערבוב אחד', other: '{count} ערבובים' },
+
+        'grid.gameOver': 'המשחק נגמר',
+        'grid.restart': 'התחל מחדש',
+        'grid.stats': 'סטטיסטיקה',
+        'grid.hint': 'רמז',
+        'arcade.timeUp': 'נגמר הזמן!',
+
+        'mode.endless': 'אינסופי',
+        'mode.arcade': 'ארקייד',
+        'mode.level': 'שלב',
+        'mode.daily': 'יומי',
+
+        'menu.continue': 'המשך',
+        'menu.daily': 'האתגר היומי',
+        'menu.endless': 'אינסופי',
+        'menu.arcade': 'ארקייד',
+        'menu.levels': 'שלבים',
+        'menu.stats': 'סטטיסטיקה',
+        'menu.settings': 'הגדרות',
+        'menu.back': 'חזרה',
+
+        'stats.title': 'סטטיסטיקה',
+        'stats.empty': 'עדיין אין משחקים שהסתיימו',
+        'stats.games': 'משחקים: {games}   ממוצע: {average}',
+        'stats.records': 'מסלול שיא: {path}   מיזוג שיא: {merge}',
+        'stats.gold': 'זהב שנוצר: {made}   נאסף: {collected}',
+        'stats.hints': 'רמזים: {hints}',
+        'stats.next': 'הלוח הבא',
+        'stats.close': 'סגור',
+
+        'levels.title': 'שלבים',
+        'levels.complete': 'השלב הושלם!',
+        'levels.failed': 'השלב נכשל',
+        'levels.result': '{name}\nניקוד: {score}',
+        'levels.next': 'השלב הבא',
+        'levels.retry': 'נסה שוב',
+        'levels.movesLeft': 'מהלכים שנותרו: {moves}',
+        'levels.create': 'צור {count} x {value}',
+        'levels.reach': 'הגע ל-{target} נקודות',
+
+        'daily.title': 'האתגר היומי',
+        'daily.result': 'ניקוד: {score}\nמהלכים: {moves}   מיזוג שיא: {merge}',
+        'daily.done': 'חזרו מחר ללוח חדש.',
+        'daily.share': 'שיתוף',
+        'daily.shared': 'שותף!',
+        'daily.copied': 'הועתק ללוח',
+        'daily.shareFailed': 'אי אפשר לשתף כאן',
+        'daily.shareTitle': 'Cash Cow יומי {date}',
+        'daily.shareLine': 'ניקוד {score} · {moves} · מיזוג שיא {merge}',
+        'daily.moves': { one: 'מהלך אחד', other: '{count} מהלכים' },
+
+        'settings.title': 'הגדרות',
+        'settings.volume': 'עוצמה: {percent}',
+        'settings.effects': 'אפקטים: {percent}',
+        'settings.music': 'מוזיקה: {percent}',
+        'settings.soundOn': 'צליל: פועל',
+        'settings.soundOff': 'צליל: כבוי',
+        'settings.theme': 'ערכת צבעים: {name}',
+        'settings.shapesOn': 'צורות: פועל',
+        'settings.shapesAuto': 'צורות: אוטומטי',
+        'settings.language': 'שפה: {name}',
+        'settings.languageAuto': 'אוטומטי',
+
+        'theme.dark': 'כהה',
+        'theme.light': 'בהיר',
+        'theme.high-contrast': 'ניגודיות גבוהה',
+        'theme.colorblind': 'מותאם לעיוורון צבעים',
+
+        'a11y.board': 'לוח Cash Cow',
+        'a11y.blocked': 'חסום',
+        'a11y.wild': 'ג׳וקר',
+        'a11y.empty': 'ריק',
+        'a11y.bomb': '{tile} פצצה',
+        'a11y.locked': '{tile} נעול',
+        'a11y.gold': '{tile} זהב',
+        'a11y.cell': '{tile}, שורה {row} עמודה {col}',
+        'a11y.at': '{tile} בשורה {row} עמודה {col}',
+        'a11y.then': ', אחר כך ',
+        'a11y.score': 'ניקוד {score}.',
+        'a11y.path': 'מסלול: {tiles}.',
+        'a11y.cleared': 'הבחירה בוטלה.',
+        'a11y.invalid': 'האריחים האלה לא מתמזגים.',
+        'a11y.merged': '{count} אריחים מוזגו ל-{value}.',
+        'a11y.cascade': 'מפל: {count} אריחים מוזגו ל-{value}.',
+        'a11y.collected': 'נאסף {value}.',
+        'a11y.newGame': 'משחק חדש.',
+        'a11y.shuffled': 'אין מהלכים, הלוח עורבב. נותרו {shuffles}.',
+        'a11y.hint': 'רמז: {steps}.',
+        'a11y.gameOver': '{message}. ניקוד סופי {score}. הקש Enter למשחק חדש.',
+        'a11y.gameOverFinal': '{message}. ניקוד סופי {score}.',
+        'a11y.cannotSelect': 'אי אפשר לבחור {tile}.',
+    },
+};
@@ -0,0 +1,59 @@
+// Seeded pseudo random number generator used for everything that affects game state.
+// Any object exposing next() -> [0, 1) can be plugged into BoardModel/Grid instead; the
+// optional getState()/setState()/reseed() methods let saves and replays restore it exactly.
+
+// turn numbers or strings (e.g. '2024-05-01') into an unsigned 32-bit seed
+export function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+    const str = String(seed);
+    // FNV-1a
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// fresh seed for games that were not given one
+export function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+export class SeededRandom {
+    /**
+     * mulberry32 generator: small, fast and with a single 32-bit state word, so the full
+     * generator position can be stored as one number.
+     */
+    constructor(seed = randomSeed()) {
+        this.reseed(seed);
+    }
+
+    // restart the sequence from a new seed
+    reseed(seed) {
+        this.seed = hashSeed(seed);
+        this._state = this.seed;
+    }
+
+    // next float in [0, 1)
+    next() {
+        this._state = (this._state + 0x6d2b79f5) >>> 0;
+        let t = this._state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // integer in [0, n)
+    int(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    getState() {
+        return this._state;
+    }
+
+    setState(state) {
+        this._state = Number(state) >>> 0;
+    }
+}
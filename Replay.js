@@ -0,0 +1,268 @@
+import { BehaviorSubject } from 'rxjs';
+import { gsap } from 'gsap';
+import { isValidState } from './SaveGame.js';
+
+// Replay documents record the seed, board options and every committed selection path of a
+// game. Because fills and refills come from the seeded generator, re-driving a fresh Grid
+// through the same paths reproduces the exact run.
+//
+// {
+//   v: 1,
+//   seed, rows, cols,
+//   options: { values, weights, recipes, minCollectLen, autoMerge, mode, layout, specials,
+//              shuffles },
+//   start: null,             // Grid.getState() the moves start from when the game was resumed
+//   moves: ['0a0b0c', ...],  // each move: cell indexes (r * cols + c), base36, 2 chars each
+//   times: [0, 1830, ...]    // ms since the previous move, so combo scoring replays too
+// }
+
+export const REPLAY_VERSION = 1;
+
+const MOVE_FORMAT = /^(?:[0-9a-z]{2})+$/;
+
+export function encodePath(path, cols) {
+    return path.map((p) => (p.r * cols + p.c).toString(36).padStart(2, '0')).join('');
+}
+
+export function decodePath(str, cols) {
+    const path = [];
+    for (let i = 0; i < str.length; i += 2) {
+        const idx = parseInt(str.slice(i, i + 2), 36);
+        path.push({ r: Math.floor(idx / cols), c: idx % cols });
+    }
+    return path;
+}
+
+// Listens to a Grid's move history and keeps the replay document for the current game
+// (undone moves are dropped, a restart starts a new document, a loaded save starts one from
+// the restored board).
+export class ReplayRecorder {
+    constructor(grid) {
+        this.grid = grid;
+        this._start(grid.seed);
+        this._sub = grid.history$.subscribe((ev) => {
+            if (ev.type === 'commit') {
+                this.moves.push(encodePath(ev.path, grid.cols));
+                this._stamps.push(ev.time);
+            } else if (ev.type === 'undo') {
+                this.moves.pop();
+                this._stamps.pop();
+            } else if (ev.type === 'restart') {
+                this._start(ev.seed);
+            } else if (ev.type === 'load') {
+                this._start(ev.state.seed, ev.state);
+            }
+        });
+    }
+
+    _start(seed, state = null) {
+        this.seed = seed;
+        this.startState = state;
+        this.moves = [];
+        // absolute move times; stored as deltas
+        this._stamps = [];
+    }
+
+    toJSON() {
+        const { grid } = this;
+        return {
+            v: REPLAY_VERSION,
+            seed: this.seed,
+            rows: grid.rows,
+            cols: grid.cols,
+            options: {
+                values: grid.values.slice(),
+                weights: grid.weights.slice(),
+                recipes: grid.model.recipes,
+                minCollectLen: grid.minCollectLen,
+                autoMerge: !!grid.autoMerge,
+                mode: grid.mode,
+                layout: grid.model.layout,
+                specials: grid.model.specials,
+                shuffles: grid.shuffleLimit,
+            },
+            start: this.startState,
+            moves: this.moves.slice(),
+            times: this._stamps.map((t, i) => (i === 0 ? 0 : t - this._stamps[i - 1])),
+        };
+    }
+
+    destroy() {
+        this._sub && this._sub.unsubscribe();
+        this._sub = null;
+    }
+}
+
+const sameNumbers = (a, b) =>
+    Array.isArray(a) &&
+    Array.isArray(b) &&
+    a.length === b.length &&
+    a.every((v, i) => Math.abs(v - b[i]) < 1e-9);
+
+/**
+ * Plays a replay document on a Grid with the real merge and collapse animations.
+ * The grid must have been created with the same size, values and weights as the recording.
+ * state$ publishes { index, total, playing, speed, finished, error }.
+ */
+export class ReplayPlayer {
+    constructor(grid, replay, { movePause = 0.35 } = {}) {
+        if (!replay || replay.v !== REPLAY_VERSION) throw new Error('Unsupported replay version');
+        if (replay.rows !== grid.rows || replay.cols !== grid.cols)
+            throw new Error('Replay board size does not match the grid');
+        const opts = replay.options || {};
+        if (!sameNumbers(opts.values, grid.values) || !sameNumbers(opts.weights, grid.weights))
+            throw new Error('Replay values/weights do not match the grid');
+        if (opts.recipes && JSON.stringify(opts.recipes) !== JSON.stringify(grid.model.recipes))
+            throw new Error('Replay merge recipes do not match the grid');
+        if (JSON.stringify(opts.layout || null) !== JSON.stringify(grid.model.layout))
+            throw new Error('Replay board layout does not match the grid');
+        if (opts.specials && JSON.stringify(opts.specials) !== JSON.stringify(grid.model.specials))
+            throw new Error('Replay special tile chances do not match the grid');
+        if (opts.shuffles != null && opts.shuffles !== grid.shuffleLimit)
+            throw new Error('Replay shuffle allowance does not match the grid');
+        const { start } = replay;
+        if (
+            start != null &&
+            !(isValidState(start) && start.rows === grid.rows && start.cols === grid.cols)
+        )
+            throw new Error('Replay start board does not fit the grid');
+        // every move: pairs of base36 digits naming cells of this board
+        const paths = Array.isArray(replay.moves)
+            ? replay.moves.map((m) =>
+                  typeof m === 'string' && MOVE_FORMAT.test(m) ? decodePath(m, grid.cols) : null
+              )
+            : [null];
+        if (!paths.every((path) => path && path.every((p) => p.r < grid.rows)))
+            throw new Error('Replay moves are malformed or leave the board');
+
+        // the document checks out; only now is the running game replaced
+        this.grid = grid;
+        this.replay = replay;
+        this.movePause = movePause;
+        this.paths = paths;
+        // recorded move times rebuilt from the deltas (older documents have none)
+        let t = 0;
+        this.times = Array.isArray(replay.times)
+            ? replay.times.map((dt) => (t += Number(dt) || 0))
+            : null;
+        this.index = 0;
+        this.playing = false;
+        this.speed = 1;
+        this.error = null;
+        this._current = null;
+        this._pending = null;
+        this.state$ = new BehaviorSubject(this._state());
+
+        // take over the board: fresh game from the recorded seed (or the board a resumed game
+        // started from), pointer input off
+        grid.inputEnabled = false;
+        if (opts.minCollectLen != null) grid.minCollectLen = opts.minCollectLen;
+        if (opts.autoMerge != null) grid.autoMerge = opts.autoMerge;
+        grid.restartGame(replay.seed);
+        if (start) grid.loadState(start);
+    }
+
+    get finished() {
+        return this.index >= this.paths.length || this.error != null;
+    }
+
+    play() {
+        if (this.playing || this.finished) return;
+        this.playing = true;
+        this._publish();
+        if (!this._current) this._next();
+    }
+
+    pause() {
+        this.playing = false;
+        if (this._pending) {
+            this._pending.kill();
+            this._pending = null;
+        }
+        this._publish();
+    }
+
+    // play exactly one move while paused
+    step() {
+        if (this.playing || this._current || this._pending || this.finished) return;
+        this._next();
+    }
+
+    // scales every GSAP animation (and the delays between path cells) while the replay runs
+    setSpeed(speed) {
+        this.speed = Math.max(0.1, Number(speed) || 1);
+        gsap.globalTimeline.timeScale(this.speed);
+        this._publish();
+    }
+
+    destroy() {
+        this.pause();
+        if (this._current) this._current.unsubscribe();
+        this._current = null;
+        gsap.globalTimeline.timeScale(1);
+        this.grid.inputEnabled = true;
+        this.state$.complete();
+    }
+
+    _next() {
+        this._pending = null;
+        if (this.finished) {
+            this.playing = false;
+            this._publish();
+            return;
+        }
+        // the grid may still be dealing (a free shuffle of a board that started without moves)
+        if (this.grid._resolving) {
+            const sub = this.grid._settled$.subscribe(() => {
+                sub.unsubscribe();
+                this._next();
+            });
+            this._pending = { kill: () => sub.unsubscribe() };
+            return;
+        }
+        const path = this.paths[this.index];
+        if (!this.grid.model.isValidPath(path)) {
+            // the board diverged from the recording (different rules or a corrupt document)
+            this._fail(new Error(`Replay move ${this.index} is not legal on this board`));
+            return;
+        }
+        const time = this.times ? this.times[this.index] : undefined;
+        this._current = this.grid.playPath(path, { time }).subscribe({
+            next: (merged) => {
+                if (!merged) this._fail(new Error(`Replay move ${this.index} did not merge`));
+            },
+            error: (err) => this._fail(err),
+            complete: () => {
+                this._current = null;
+                if (this.error) return;
+                this.index++;
+                this._publish();
+                if (this.playing)
+                    this._pending = gsap.delayedCall(this.movePause, () => this._next());
+            },
+        });
+        // playPath errors synchronously when the grid is busy
+        if (this._current.closed) this._current = null;
+    }
+
+    _fail(err) {
+        this.error = err;
+        this.playing = false;
+        this._publish();
+    }
+
+    _state() {
+        return {
+            index: this.index,
+            total: this.paths.length,
+            playing: this.playing,
+            speed: this.speed,
+            finished: this.finished,
+            error: this.error ? this.error.message : null,
+        };
+    }
+
+    _publish() {
+        this.state$.next(this._state());
+    }
+}
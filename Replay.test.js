@@ -0,0 +1,34 @@
+// Checks of the compact move encoding used by replay documents.
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodePath, decodePath } from './Replay.js';
+
+const at = (r, c) => ({ r, c });
+
+test('a path is two base-36 characters per cell', () => {
+    assert.equal(encodePath([at(0, 0), at(0, 1), at(1, 1)], 8), '000109');
+    assert.deepEqual(decodePath('000109', 8), [at(0, 0), at(0, 1), at(1, 1)]);
+});
+
+test('paths round-trip on any board size up to 36 x 36', () => {
+    for (let [rows, cols] of [
+        [1, 2],
+        [8, 8],
+        [6, 10],
+        [36, 36],
+    ]) {
+        const path = [at(0, 0), at(rows - 1, cols - 1), at(Math.floor(rows / 2), cols - 1)];
+        const encoded = encodePath(path, cols);
+        assert.equal(encoded.length, path.length * 2);
+        assert.deepEqual(decodePath(encoded, cols), path);
+    }
+    assert.equal(encodePath([at(35, 35)], 36), 'zz');
+});
+
+test('the same moves decode differently on another board width', () => {
+    const encoded = encodePath([at(1, 2)], 8);
+    assert.deepEqual(decodePath(encoded, 5), [at(2, 0)]);
+});
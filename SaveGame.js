@@ -0,0 +1,112 @@
+// Persist the in-progress game to localStorage so a reload (or an evicted mobile tab) can
+// continue the run. Saves are wrapped in a versioned envelope; anything corrupt, from an
+// unknown version or failing validation is discarded instead of breaking startup.
+
+import { TILE_KINDS } from './Tiles.js';
+import { getStorage } from './Storage.js';
+
+export const SAVE_KEY = 'cashcow.save';
+export const SAVE_VERSION = 1;
+
+// migrations[n] upgrades a version n state to version n + 1
+const migrations = {};
+
+const isInt = (n) => Number.isInteger(n) && n > 0;
+
+// structural check of a game state as produced by Grid.getState()
+export function isValidState(state) {
+    if (!state || typeof state !== 'object') return false;
+    if (!isInt(state.rows) || !isInt(state.cols)) return false;
+    if (!Array.isArray(state.cells) || state.cells.length !== state.rows) return false;
+    for (let row of state.cells) {
+        if (!Array.isArray(row) || row.length !== state.cols) return false;
+        if (!row.every((v) => v === null || Number.isFinite(v))) return false;
+    }
+    if (!Number.isFinite(state.score)) return false;
+    if (state.rngState != null && !Number.isFinite(state.rngState)) return false;
+    if (typeof state.mode !== 'string') return false;
+    if (!Number.isInteger(state.hintsUsed) || state.hintsUsed < 0) return false;
+    // optional per-game counters
+    for (let key of ['goldCollected', 'shufflesLeft']) {
+        const n = state[key];
+        if (n != null && !(Number.isInteger(n) && n >= 0)) return false;
+    }
+    if (state.gameRecords != null) {
+        if (typeof state.gameRecords !== 'object') return false;
+        for (let n of Object.values(state.gameRecords)) {
+            if (!(Number.isFinite(n) && n >= 0)) return false;
+        }
+    }
+    // optional special tile kinds, shaped like cells
+    if (state.kinds != null) {
+        if (!Array.isArray(state.kinds) || state.kinds.length !== state.rows) return false;
+        for (let row of state.kinds) {
+            if (!Array.isArray(row) || row.length !== state.cols) return false;
+            if (!row.every((k) => k === null || TILE_KINDS.includes(k))) return false;
+        }
+    }
+    return true;
+}
+
+// upgrade an envelope to SAVE_VERSION; returns the state or null when it cannot be migrated
+function migrate(doc) {
+    let { version, state } = doc;
+    if (!Number.isInteger(version) || version > SAVE_VERSION) return null;
+    while (version < SAVE_VERSION) {
+        const step = migrations[version];
+        if (typeof step !== 'function') return null;
+        state = step(state);
+        version++;
+    }
+    return state;
+}
+
+export function saveGame(state, storage) {
+    const store = getStorage(storage);
+    if (!store || !isValidState(state)) return false;
+    try {
+        store.setItem(
+            SAVE_KEY,
+            JSON.stringify({ version: SAVE_VERSION, savedAt: Date.now(), state })
+        );
+        return true;
+    } catch (e) {
+        // quota exceeded or storage disabled: keep playing without a save
+        return false;
+    }
+}
+
+// returns the saved state, or null when there is none or it could not be used
+export function loadGame(storage) {
+    const store = getStorage(storage);
+    if (!store) return null;
+    let raw = null;
+    try {
+        raw = store.getItem(SAVE_KEY);
+    } catch (e) {
+        return null;
+    }
+    if (!raw) return null;
+
+    let state = null;
+    try {
+        const doc = JSON.parse(raw);
+        state = doc && typeof doc === 'object' ? migrate(doc) : null;
+    } catch (e) {
+        state = null;
+    }
+    if (!isValidState(state)) {
+        // corrupt or outdated save: drop it so the next load starts clean
+        clearSave(store);
+        return null;
+    }
+    return state;
+}
+
+export function clearSave(storage) {
+    const store = getStorage(storage);
+    if (!store) return;
+    try {
+        store.removeItem(SAVE_KEY);
+    } catch (e) {}
+}
@@ -0,0 +1,115 @@
+// Checks of the saved game envelope: validation, round-trips and versions.
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SAVE_KEY, SAVE_VERSION, saveGame, loadGame, clearSave, isValidState } from './SaveGame.js';
+import { TILE } from './Tiles.js';
+
+// in-memory stand-in for localStorage
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    };
+}
+
+const validState = () => ({
+    rows: 2,
+    cols: 2,
+    cells: [
+        [1, 5],
+        [null, 10],
+    ],
+    kinds: [
+        [null, TILE.WILD],
+        [null, null],
+    ],
+    score: 120,
+    rngState: 7,
+    mode: 'classic',
+    hintsUsed: 1,
+    goldCollected: 0,
+    shufflesLeft: 2,
+    gameRecords: { bestMerge: 10 },
+});
+
+test('a state produced by the grid is valid', () => {
+    assert.ok(isValidState(validState()));
+});
+
+test('states with the wrong shape are rejected', () => {
+    const broken = [
+        null,
+        'state',
+        { ...validState(), rows: 0 },
+        { ...validState(), cells: [[1, 5]] },
+        { ...validState(), cells: [[1, 5], [10]] },
+        {
+            ...validState(),
+            cells: [
+                [1, '5'],
+                [null, 10],
+            ],
+        },
+        { ...validState(), score: NaN },
+        { ...validState(), mode: 3 },
+        { ...validState(), hintsUsed: -1 },
+        { ...validState(), shufflesLeft: 1.5 },
+        { ...validState(), gameRecords: { bestMerge: -1 } },
+        {
+            ...validState(),
+            kinds: [
+                ['rocket', null],
+                [null, null],
+            ],
+        },
+    ];
+    for (let state of broken) assert.equal(isValidState(state), false, JSON.stringify(state));
+});
+
+test('a saved game loads back unchanged', () => {
+    const storage = memoryStorage();
+    assert.ok(saveGame(validState(), storage));
+    const doc = JSON.parse(storage.getItem(SAVE_KEY));
+    assert.equal(doc.version, SAVE_VERSION);
+    assert.deepEqual(loadGame(storage), validState());
+    clearSave(storage);
+    assert.equal(loadGame(storage), null);
+});
+
+test('invalid states are not written', () => {
+    const storage = memoryStorage();
+    assert.equal(saveGame({ ...validState(), score: 'lots' }, storage), false);
+    assert.equal(storage.getItem(SAVE_KEY), null);
+});
+
+test('corrupt saves and saves without a migration path are discarded', () => {
+    const storage = memoryStorage();
+    const docs = [
+        'not json',
+        JSON.stringify({ version: SAVE_VERSION + 1, state: validState() }),
+        JSON.stringify({ version: SAVE_VERSION - 1, state: validState() }),
+        JSON.stringify({ version: '1', state: validState() }),
+        JSON.stringify({ version: SAVE_VERSION, state: { ...validState(), cells: [] } }),
+    ];
+    for (let doc of docs) {
+        storage.setItem(SAVE_KEY, doc);
+        assert.equal(loadGame(storage), null, doc);
+        // dropped so the next start is clean
+        assert.equal(storage.getItem(SAVE_KEY), null);
+    }
+});
+
+test('a failing storage never breaks saving or loading', () => {
+    const fail = () => {
+        throw new Error('quota');
+    };
+    const storage = { getItem: fail, setItem: fail, removeItem: fail };
+    assert.equal(saveGame(validState(), storage), false);
+    assert.equal(loadGame(storage), null);
+    assert.doesNotThrow(() => clearSave(storage));
+});
@@ -0,0 +1,65 @@
+// Checks of the score breakdown: combos, long paths, gold and cascades.
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScoreKeeper } from './Scoring.js';
+
+test('a plain merge is worth its result', () => {
+    const keeper = new ScoreKeeper();
+    const ev = keeper.scoreMerge({ result: 25, length: 2, time: 0 });
+    assert.equal(ev.points, 25);
+    assert.deepEqual(ev.breakdown, {
+        base: 25,
+        lengthBonus: 0,
+        goldBonus: 0,
+        comboMultiplier: 1,
+        cascadeMultiplier: 1,
+    });
+});
+
+test('quick merges build a capped combo and a slow one breaks it', () => {
+    const keeper = new ScoreKeeper({ comboWindow: 1000, comboStep: 0.5, maxComboMultiplier: 2 });
+    const multipliers = [0, 500, 1000, 1500].map(
+        (time) => keeper.scoreMerge({ result: 10, length: 2, time }).breakdown.comboMultiplier
+    );
+    assert.deepEqual(multipliers, [1, 1.5, 2, 2]);
+    const late = keeper.scoreMerge({ result: 10, length: 2, time: 5000 });
+    assert.equal(late.combo, 0);
+    assert.equal(late.points, 10);
+});
+
+test('long paths earn a bonus per cell from longPathFrom on', () => {
+    const keeper = new ScoreKeeper({ longPathFrom: 4, longPathBonus: 0.1 });
+    assert.equal(keeper.scoreMerge({ result: 100, length: 3, time: 0 }).breakdown.lengthBonus, 0);
+    keeper.reset();
+    const ev = keeper.scoreMerge({ result: 100, length: 5, time: 0 });
+    assert.equal(ev.breakdown.lengthBonus, 20);
+    assert.equal(ev.points, 120);
+});
+
+test('creating gold adds a flat bonus outside the multipliers', () => {
+    const keeper = new ScoreKeeper({ goldValue: 500, goldBonus: 250, comboWindow: 1000 });
+    keeper.scoreMerge({ result: 5, length: 2, time: 0 });
+    const ev = keeper.scoreMerge({ result: 500, length: 2, time: 100 });
+    assert.equal(ev.breakdown.goldBonus, 250);
+    assert.equal(ev.points, Math.round(500 * 1.25) + 250);
+});
+
+test('cascades multiply by round and leave the combo alone', () => {
+    const keeper = new ScoreKeeper({ cascadeStep: 0.5 });
+    keeper.scoreMerge({ result: 5, length: 2, time: 0 });
+    const ev = keeper.scoreMerge({ result: 10, length: 2, time: 999999, cascadeStep: 2 });
+    assert.equal(ev.breakdown.cascadeMultiplier, 2);
+    assert.equal(ev.points, 20);
+    assert.deepEqual(keeper.getState(), { combo: 0, lastMergeTime: 0 });
+});
+
+test('collecting gold banks its value plus the collect bonus', () => {
+    const keeper = new ScoreKeeper({ collectBonus: 300 });
+    const ev = keeper.scoreCollect({ value: 500 });
+    assert.equal(ev.points, 800);
+    assert.equal(ev.collected, 500);
+    assert.equal(ev.breakdown.collectBonus, 300);
+});
@@ -0,0 +1,75 @@
+import { BehaviorSubject } from 'rxjs';
+import { getStorage } from './Storage.js';
+
+// Player preferences kept across sessions (sound, looks, language). Unknown keys and values of
+// the wrong type are dropped on load, so an old or hand-edited entry never breaks startup.
+
+export const SETTINGS_KEY = 'cashcow.settings';
+
+export const DEFAULT_SETTINGS = {
+    muted: false,
+    masterVolume: 0.8, // 0..1
+    sfxVolume: 1,
+    musicVolume: 0.5,
+    theme: 'dark', // id in THEMES (Themes.js); unknown ids fall back to the default theme
+    glyphs: false, // value shapes on tiles, on top of themes that show them anyway
+    locale: '', // catalog in Messages.js; empty follows the browser's languages
+};
+
+// defaults overlaid with the valid entries of settings
+function sanitize(settings) {
+    const out = { ...DEFAULT_SETTINGS };
+    if (!settings || typeof settings !== 'object') return out;
+    for (let [key, fallback] of Object.entries(DEFAULT_SETTINGS)) {
+        const value = settings[key];
+        if (typeof value !== typeof fallback) continue;
+        if (typeof value === 'number') {
+            if (Number.isFinite(value)) out[key] = Math.min(1, Math.max(0, value));
+        } else {
+            out[key] = value;
+        }
+    }
+    return out;
+}
+
+export function loadSettings(storage) {
+    const store = getStorage(storage);
+    if (!store) return sanitize(null);
+    try {
+        return sanitize(JSON.parse(store.getItem(SETTINGS_KEY) || 'null'));
+    } catch (e) {
+        return sanitize(null);
+    }
+}
+
+export function saveSettings(settings, storage) {
+    const store = getStorage(storage);
+    if (!store) return false;
+    try {
+        store.setItem(SETTINGS_KEY, JSON.stringify(settings));
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Live settings: settings$ holds the current values, update() changes and saves them.
+ */
+export class SettingsStore {
+    constructor(storage) {
+        this._storage = storage;
+        this.settings$ = new BehaviorSubject(loadSettings(storage));
+    }
+
+    get value() {
+        return this.settings$.getValue();
+    }
+
+    update(patch) {
+        const next = sanitize({ ...this.value, ...patch });
+        saveSettings(next, this._storage);
+        this.settings$.next(next);
+        return next;
+    }
+}
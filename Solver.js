@@ -0,0 +1,235 @@
+// Move solver: enumerates the legal moves on a BoardModel, ranks them and answers whether any
+// move is left. BoardModel uses it for both hints and game-over detection, so the two always
+// agree. Renderer-free, like the model.
+//
+// A selection may grow from any selected cell, so a merge is any connected group of chaining
+// cells with a legal sum, dragged in an order where every cell touches an earlier one; the
+// last cell is the merge target. Collecting a gold tile is a move too.
+
+import { ScoreKeeper } from './Scoring.js';
+import { recipeSums } from './MergeRecipes.js';
+
+export const DEFAULT_SOLVER = {
+    searchLimit: 200, // mixed-value groups grown from each cell before moving on to the next
+    rankLimit: 24, // top scoring moves whose resulting boards are compared
+    potentialWeight: 5, // points per chaining pair of neighbours left after a move
+};
+
+export class MoveSolver {
+    /**
+     * options: searchLimit, rankLimit, potentialWeight (see DEFAULT_SOLVER)
+     *  - scoring (object) score rules used to rank moves, see DEFAULT_SCORING in Scoring.js
+     */
+    constructor(model, options = {}) {
+        const { scoring = {}, ...rest } = options;
+        this.model = model;
+        this.options = { ...DEFAULT_SOLVER, ...rest };
+        this._keeper = new ScoreKeeper(scoring);
+        // set when the last search hit searchLimit
+        this.exhausted = false;
+    }
+
+    // true when at least one merge or collect is possible
+    hasMove() {
+        return this.moves({ limit: 1 }).length > 0;
+    }
+
+    /**
+     * Legal moves as { path, result, collected, points }: path in drag order (a one-cell path
+     * for collects), result null for collects, points as scored without a combo.
+     * limit stops the search after that many moves. Mixed-value groups are searched up to
+     * searchLimit per starting cell (exhausted is set when that cut anything off).
+     */
+    moves({ limit = Infinity } = {}) {
+        const model = this.model;
+        const found = [];
+        const seen = new Set();
+        this.exhausted = false;
+
+        const report = (group) => {
+            const key = group
+                .map((p) => p.r * model.cols + p.c)
+                .sort((a, b) => a - b)
+                .join();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            const result = model.resolveMerge(group);
+            const path = this._dragOrder(group, result);
+            found.push({
+                path,
+                result,
+                collected: null,
+                points: this._points(result, path.length),
+            });
+            return found.length >= limit;
+        };
+        const legal = (group) => model.resolveMerge(group) != null;
+
+        model._eachComponent((recipe, comp) => {
+            // no subset of the cells adds up, connected or not
+            if (!model._componentCanMerge(recipe, comp)) return false;
+            const maxSum = Math.max(...recipeSums(recipe, model.values));
+            const wildValue = recipe.members === 'same' ? comp[0].v : Math.min(...recipe.members);
+            const valueOf = (cell) => (cell.wild ? wildValue : cell.v);
+            // indices of the adjacent cells of each component cell
+            const neighbors = comp.map((a) =>
+                comp.flatMap((b, j) => (model.isAdjacent(a.r, a.c, b.r, b.c) ? [j] : []))
+            );
+
+            if (recipe.members === 'same') {
+                // equal values: whether a group merges only depends on its size (and wildcards),
+                // so the breadth-first groups around each cell cover every outcome
+                for (let start = 0; start < comp.length; start++) {
+                    if (comp[start].wild) continue;
+                    const order = [start];
+                    const inOrder = new Set(order);
+                    let sum = valueOf(comp[start]);
+                    for (let i = 0; i < order.length; i++) {
+                        for (let j of neighbors[order[i]]) {
+                            if (inOrder.has(j) || sum + valueOf(comp[j]) > maxSum) continue;
+                            inOrder.add(j);
+                            order.push(j);
+                            sum += valueOf(comp[j]);
+                            const group = order.map((k) => comp[k]);
+                            if (group.length >= model._minLength(recipe) && legal(group))
+                                if (report(group)) return true;
+                        }
+                    }
+                }
+                return false;
+            }
+
+            // mixed values: every connected group once (each grown from its lowest index through
+            // cells not yet next to the group), pruned once the sum cannot stay legal
+            let visits = 0;
+            const extend = (group, ext, root, sum) => {
+                if (++visits > this.options.searchLimit) {
+                    this.exhausted = true;
+                    return false;
+                }
+                if (group.length >= model._minLength(recipe)) {
+                    const cells = group.map((k) => comp[k]);
+                    if (legal(cells) && report(cells)) return true;
+                }
+                const near = new Set(group);
+                for (let k of group) neighbors[k].forEach((j) => near.add(j));
+                const rest = ext.slice();
+                while (rest.length) {
+                    const w = rest.pop();
+                    const nextSum = sum + valueOf(comp[w]);
+                    if (nextSum > maxSum) continue;
+                    const added = neighbors[w].filter((j) => j > root && !near.has(j));
+                    if (extend(group.concat(w), rest.concat(added), root, nextSum)) return true;
+                }
+                return false;
+            };
+            for (let root = 0; root < comp.length; root++) {
+                visits = 0;
+                const ext = neighbors[root].filter((j) => j > root);
+                if (extend([root], ext, root, valueOf(comp[root]))) return true;
+            }
+            return false;
+        });
+
+        if (found.length < limit) {
+            model.forEachCell((v, r, c) => {
+                if (found.length >= limit || !model.isCollectible(r, c)) return;
+                const ev = this._keeper.scoreCollect({ value: v });
+                found.push({ path: [{ r, c }], result: null, collected: v, points: ev.points });
+            });
+        }
+        return found;
+    }
+
+    /**
+     * The best move: the top rankLimit moves by points, compared by points plus the chaining
+     * pairs left on the board once it has settled (refills unknown, so left empty).
+     * Returns a move (see moves()) or null.
+     */
+    bestMove() {
+        const { rankLimit, potentialWeight } = this.options;
+        const ranked = this.moves()
+            .map((move, i) => ({ move, i }))
+            .sort((a, b) => b.move.points - a.move.points || a.i - b.i)
+            .slice(0, rankLimit);
+        let best = null;
+        for (let { move } of ranked) {
+            const board = this.model.clone();
+            if (move.result == null) board.collectAt(move.path[0].r, move.path[0].c);
+            else board.applyMerge(move.path);
+            board.collapse({ refill: false });
+            const rank = move.points + potentialWeight * this._potential(board);
+            if (!best || rank > best.rank) best = { move, rank };
+        }
+        return best ? best.move : null;
+    }
+
+    _points(result, length) {
+        this._keeper.reset();
+        return this._keeper.scoreMerge({ result, length, time: 0 }).points;
+    }
+
+    // neighbouring selectable cells that could chain together
+    _potential(board) {
+        const valueAt = (r, c) => (board.isWild(r, c) ? [] : [Number(board.getValue(r, c))]);
+        let pairs = 0;
+        board.forEachCell((v, r, c) => {
+            if (!board.isSelectable(r, c)) return;
+            for (let [nr, nc] of [
+                [r + 1, c],
+                [r, c + 1],
+            ]) {
+                if (
+                    board.isSelectable(nr, nc) &&
+                    board.canChain(valueAt(r, c).concat(valueAt(nr, nc)))
+                )
+                    pairs++;
+            }
+        });
+        return pairs;
+    }
+
+    // drag order for a connected group: the target is a cell whose removal keeps the rest
+    // connected, preferring one next to tiles of the result value, then the lowest one
+    _dragOrder(group, result) {
+        const model = this.model;
+        const inGroup = new Set(group.map((p) => p.r * model.cols + p.c));
+        const around = (p) =>
+            [
+                [p.r - 1, p.c],
+                [p.r + 1, p.c],
+                [p.r, p.c - 1],
+                [p.r, p.c + 1],
+            ].filter(([r, c]) => model.inBounds(r, c));
+        const preference = (p) => {
+            const matches = around(p).filter(
+                ([r, c]) =>
+                    !inGroup.has(r * model.cols + c) &&
+                    !model.isWild(r, c) &&
+                    model.getValue(r, c) === result
+            ).length;
+            return matches * model.rows + p.r;
+        };
+        const targets = group
+            .map((p) => ({ p, rank: preference(p) }))
+            .sort((a, b) => b.rank - a.rank);
+        for (let { p: target } of targets) {
+            // breadth-first through the rest of the group; usable when it reaches every cell
+            const key = target.r * model.cols + target.c;
+            const start = group.find((p) => p !== target);
+            const seen = new Set([key, start.r * model.cols + start.c]);
+            const order = [start];
+            for (let i = 0; i < order.length; i++) {
+                for (let [r, c] of around(order[i])) {
+                    const k = r * model.cols + c;
+                    if (seen.has(k) || !inGroup.has(k)) continue;
+                    seen.add(k);
+                    order.push({ r, c });
+                }
+            }
+            if (order.length === group.length - 1)
+                return order.concat(target).map((p) => ({ r: p.r, c: p.c }));
+        }
+        return null;
+    }
+}
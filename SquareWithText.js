@@ -1,4 +1,7 @@
 import { Container, Graphics, BitmapText } from 'pixi.js';
+import { TILE } from './Tiles.js';
+import { GLYPHS, GOLD_GLYPH, getTheme } from './Themes.js';
+import { FONT_NAME } from './Fonts.js';
 
 function parseValue(v) {
     if (v === null || v === undefined || v === '') return null;
@@ -11,40 +14,41 @@ export class SquareWithText extends Container {
         super();
         const {
             size = 160,
-            fill = 0x333333,
-            fontName = 'Desyrel',
+            fill = null,
+            fontName = FONT_NAME,
             fontSize = 64,
-            tint = 0xffffff,
-            // optional map of value -> background color
+            tint = null,
+            // optional map of value -> background color, instead of the theme's
             colorMap = null,
+            // special tile kind (see Tiles.js), null for plain tiles
+            kind = null,
+            // theme id or object (see Themes.js)
+            theme = null,
+            // value glyphs on / off; null follows the theme
+            glyphs = null,
+            // value drawn as gold (the board's goldValue)
+            goldValue = 500,
         } = options;
 
         this._size = size;
-        this._defaultFill = fill;
+        this._fill = fill;
         this._fontName = fontName;
         this._fontSize = fontSize;
-        this._tint = tint;
-        // default palette for common values; can be overridden by options.colorMap
-        this._defaultColorMap = {
-            1: 0x555555,
-            5: 0x3b82f6, // blue
-            10: 0x10b981, // green
-            25: 0xf59e0b, // amber
-            50: 0xef4444, // red
-            100: 0x8b5cf6, // purple
-            500: 0xffd700, // gold
-        };
-        this._colorMap = colorMap || this._defaultColorMap;
+        this._customTint = tint;
+        this._customColorMap = colorMap;
+        this.kind = kind;
+        this.goldValue = goldValue;
+        this._applyTheme(theme, glyphs);
 
         // background square centered at (0,0)
         this.bg = new Graphics();
-        this.bg.beginFill(fill);
+        this.bg.beginFill(this._defaultFill);
         this.bg.drawRect(-size / 2, -size / 2, size, size);
         this.bg.endFill();
         this.addChild(this.bg);
 
         // bitmap text (requires the bitmap font to be loaded before creating)
-        this.bitmap = new BitmapText('', { fontName, fontSize, tint });
+        this.bitmap = new BitmapText('', { fontName, fontSize, tint: this._tint });
         // center the bitmap text within the square
         this.bitmap.pivot.x = 0;
         this.bitmap.pivot.y = 0;
@@ -52,28 +56,145 @@ export class SquareWithText extends Container {
         this.bitmap.y = 0;
         this.addChild(this.bitmap);
 
+        // value shape in the top-left corner (themes with glyphs)
+        this.glyph = new Graphics();
+        this.addChild(this.glyph);
+
+        // special tile decorations (bomb fuse, lock, blocker hatching), drawn over the text
+        this.overlay = new Graphics();
+        this.addChild(this.overlay);
+
         // store numeric value
         this.value = null;
         this.setValue(parseValue(text));
     }
 
-    // unified background redraw; if color omitted, choose gold for value 500 or default fill
+    _applyTheme(theme, glyphs) {
+        this.theme = getTheme(theme);
+        this._colorMap = this._customColorMap || this.theme.tiles;
+        this._defaultFill = this._fill ?? this.theme.tileFill;
+        this._tint = this._customTint ?? this.theme.text;
+        this._showGlyphs = glyphs ?? this.theme.glyphs;
+    }
+
+    // switch colors (and glyphs: true / false, null to follow the theme) and redraw in place
+    setTheme(theme, glyphs = null) {
+        this._applyTheme(theme, glyphs);
+        this.setValue(this.value);
+    }
+
+    // background for the current kind / value: kind fill -> gold -> colorMap by value -> default
+    _bgColor() {
+        if (this.kind === TILE.WILD) return this.theme.wildFill;
+        if (this.kind === TILE.BLOCKER) return this.theme.blockerFill;
+        if (this.isGold()) return this.theme.goldFill;
+        if (this.value != null && this._colorMap && this._colorMap[this.value] != null)
+            return this._colorMap[this.value];
+        return this._defaultFill;
+    }
+
+    // unified background redraw; without a color the kind / value color is used (see _bgColor)
     _redrawBg(color) {
         const size = this._size;
-        // pick color by priority: explicit color arg -> colorMap by value -> default fill
-        let fillColor = color;
-        if (fillColor == null) {
-            if (this.value != null && this._colorMap && this._colorMap[this.value] != null) {
-                fillColor = this._colorMap[this.value];
-            } else {
-                fillColor = this._defaultFill ?? 0x333333;
-            }
-        }
+        // pick color by priority: explicit color arg -> kind / value color
+        const fillColor = color ?? this._bgColor();
         this.bg.clear();
         this.bg.beginFill(fillColor);
         // rounded rect for nicer visuals
         this.bg.drawRoundedRect(-size / 2, -size / 2, size, size, Math.max(6, size * 0.08));
         this.bg.endFill();
+        this._drawGlyph();
+        this._redrawOverlay();
+    }
+
+    _drawGlyph() {
+        const g = this.glyph;
+        if (!g) return;
+        g.clear();
+        const shape = this.isGold() ? GOLD_GLYPH : GLYPHS[this.value];
+        if (!this._showGlyphs || !shape || this.kind === TILE.WILD || this.kind === TILE.BLOCKER)
+            return;
+        const r = this._size * 0.09;
+        const x = -this._size / 2 + r * 1.8;
+        const y = -this._size / 2 + r * 1.8;
+        // same color as the number, so it reads on every background
+        const color = this.bitmap.tint;
+        // points of a regular polygon with n corners, the first one on top
+        const polygon = (n, radius = r) =>
+            Array.from({ length: n }, (_, i) => {
+                const a = -Math.PI / 2 + (i * 2 * Math.PI) / n;
+                return [x + radius * Math.cos(a), y + radius * Math.sin(a)];
+            }).flat();
+        if (shape === 'circle') {
+            g.lineStyle(Math.max(1.5, r * 0.35), color, 0.9);
+            g.drawCircle(x, y, r * 0.8);
+            return;
+        }
+        g.beginFill(color, 0.9);
+        if (shape === 'dot') g.drawCircle(x, y, r * 0.45);
+        else if (shape === 'triangle') g.drawPolygon(polygon(3, r * 1.1));
+        else if (shape === 'square') g.drawRect(x - r * 0.75, y - r * 0.75, r * 1.5, r * 1.5);
+        else if (shape === 'diamond') g.drawPolygon(polygon(4));
+        else if (shape === 'hexagon') g.drawPolygon(polygon(6));
+        else if (shape === 'star') g.drawStar(x, y, 5, r * 1.1, r * 0.5);
+        g.endFill();
+    }
+
+    _redrawOverlay() {
+        const g = this.overlay;
+        if (!g) return;
+        const size = this._size;
+        const half = size / 2;
+        g.clear();
+        if (this.kind === TILE.WILD) {
+            // bright inner ring
+            g.lineStyle(Math.max(2, size * 0.05), 0xffffff, 0.85);
+            g.drawRoundedRect(-half * 0.8, -half * 0.8, size * 0.8, size * 0.8, size * 0.08);
+        } else if (this.kind === TILE.BOMB) {
+            // bomb with a lit fuse in the top-right corner
+            const r = size * 0.13;
+            const cx = half - r * 1.4;
+            const cy = -half + r * 1.6;
+            g.beginFill(0x111111);
+            g.drawCircle(cx, cy, r);
+            g.endFill();
+            g.lineStyle(Math.max(1, size * 0.03), 0xd1d5db);
+            g.moveTo(cx + r * 0.6, cy - r * 0.6);
+            g.lineTo(cx + r * 1.1, cy - r * 1.1);
+            g.lineStyle(0);
+            g.beginFill(0xff8c00);
+            g.drawCircle(cx + r * 1.15, cy - r * 1.15, r * 0.35);
+            g.endFill();
+        } else if (this.kind === TILE.BLOCKER) {
+            // diagonal hatching
+            g.lineStyle(Math.max(1, size * 0.03), 0x374151);
+            for (let i = -2; i <= 2; i++) {
+                const o = (i * size) / 4;
+                g.moveTo(-half + Math.max(0, o), -half - Math.min(0, o));
+                g.lineTo(half + Math.min(0, o), half - Math.max(0, o));
+            }
+        } else if (this.kind === TILE.LOCKED) {
+            // dimmed tile with a padlock in the top-right corner
+            g.beginFill(0x000000, 0.45);
+            g.drawRoundedRect(-half, -half, size, size, Math.max(6, size * 0.08));
+            g.endFill();
+            const w = size * 0.24;
+            const h = size * 0.18;
+            const x = half - w - size * 0.08;
+            const y = -half + size * 0.2;
+            g.lineStyle(Math.max(2, size * 0.04), 0xe5e7eb);
+            g.arc(x + w / 2, y, w * 0.32, Math.PI, 0);
+            g.lineStyle(0);
+            g.beginFill(0xe5e7eb);
+            g.drawRect(x, y, w, h);
+            g.endFill();
+        }
+    }
+
+    // switch the special tile kind (null for a plain tile) and redraw, optionally with a new value
+    setKind(kind, value = this.value) {
+        this.kind = kind || null;
+        this.setValue(value);
     }
 
     setText(text) {
@@ -81,8 +202,11 @@ export class SquareWithText extends Container {
             this.bitmap.text = '';
             this.value = null;
         } else {
-            this.bitmap.text = String(text);
             this.value = parseValue(text);
+            // wildcards show a star instead of their placeholder value, blockers nothing
+            if (this.kind === TILE.WILD) this.bitmap.text = '*';
+            else if (this.kind === TILE.BLOCKER) this.bitmap.text = '';
+            else this.bitmap.text = String(text);
         }
         // update pivot after changing text
         // bitmap.updateTransform may not immediately update width/height, so use measured width if available
@@ -94,17 +218,15 @@ export class SquareWithText extends Container {
 
         // redraw background and pick a readable text tint based on background brightness
         // determine background color used
-        const bgColor =
-            this.value != null && this._colorMap && this._colorMap[this.value] != null
-                ? this._colorMap[this.value]
-                : this._defaultFill;
+        const bgColor = this._bgColor();
         // compute simple brightness (0..255) from RGB
         const r = (bgColor >> 16) & 0xff;
         const g = (bgColor >> 8) & 0xff;
         const b = bgColor & 0xff;
         const brightness = r * 0.299 + g * 0.587 + b * 0.114;
-        // choose black text for bright backgrounds (e.g. gold), white otherwise
-        this.bitmap.tint = brightness > 160 ? 0x000000 : this._tint;
+        // the theme's dark text on bright backgrounds (e.g. gold), its normal text otherwise
+        this.bitmap.tint =
+            brightness > this.theme.brightText ? this.theme.textOnBright : this._tint;
         this._redrawBg();
     }
 
@@ -122,12 +244,18 @@ export class SquareWithText extends Container {
     }
 
     isGold() {
-        return this.value === 500;
+        return this.value != null && this.value === this.goldValue;
     }
 
-    setSize(size, fill) {
+    setSize(size, fill, fontSize) {
         this._size = size;
         this._defaultFill = fill ?? this._defaultFill;
+        if (fontSize != null && fontSize !== this._fontSize) {
+            this._fontSize = fontSize;
+            this.bitmap.style.fontSize = fontSize;
+            // re-center the text for the new glyph size
+            this.setValue(this.value);
+        }
         this.bg.clear();
         this._redrawBg();
         this.bg.endFill();
@@ -0,0 +1,116 @@
+import { t } from './I18n.js';
+import { getStorage } from './Storage.js';
+
+// Local player statistics: the best scores per mode and board size plus lifetime totals and
+// records. Only finished games are recorded (see Grid.getGameSummary for what a game reports).
+// Like saves, anything unreadable or invalid is replaced with empty stats instead of breaking.
+
+export const STATS_KEY = 'cashcow.stats';
+export const STATS_VERSION = 1;
+// high scores kept per mode and board size
+export const TOP_SCORES = 10;
+
+// per-game records a Grid keeps next to its score; moves counts the player's merges and collects
+export function emptyGameRecords() {
+    return { moves: 0, longestPath: 0, biggestMerge: 0, goldCreated: 0 };
+}
+
+export function emptyStats() {
+    return {
+        games: 0,
+        totalScore: 0,
+        hintsUsed: 0,
+        goldCreated: 0,
+        goldCollected: 0,
+        longestPath: 0,
+        biggestMerge: 0,
+        // boardKey -> [{ score, date }], best first
+        highScores: {},
+    };
+}
+
+// 'endless:8x8'
+export function boardKey(mode, rows, cols) {
+    return `${mode}:${rows}x${cols}`;
+}
+
+// 'endless:8x8' -> 'Endless 8x8', with the mode name translated
+export function boardLabel(key) {
+    const [mode, size] = String(key).split(':');
+    const name = t(`mode.${mode}`);
+    // unknown modes have no message: capitalize the id instead
+    const label =
+        name === `mode.${mode}` ? `${mode.charAt(0).toUpperCase()}${mode.slice(1)}` : name;
+    return `${label} ${size || ''}`.trim();
+}
+
+const isCount = (n) => Number.isFinite(n) && n >= 0;
+
+function isValidStats(stats) {
+    if (!stats || typeof stats !== 'object') return false;
+    for (let key of Object.keys(emptyStats())) {
+        if (key !== 'highScores' && !isCount(stats[key])) return false;
+    }
+    if (!stats.highScores || typeof stats.highScores !== 'object') return false;
+    for (let list of Object.values(stats.highScores)) {
+        if (!Array.isArray(list)) return false;
+        if (!list.every((e) => e && Number.isFinite(e.score) && Number.isFinite(e.date)))
+            return false;
+    }
+    return true;
+}
+
+export function loadStats(storage) {
+    const store = getStorage(storage);
+    if (!store) return emptyStats();
+    try {
+        const doc = JSON.parse(store.getItem(STATS_KEY) || 'null');
+        if (doc && doc.version === STATS_VERSION && isValidStats(doc.stats)) return doc.stats;
+    } catch (e) {}
+    return emptyStats();
+}
+
+export function saveStats(stats, storage) {
+    const store = getStorage(storage);
+    if (!store) return false;
+    try {
+        store.setItem(STATS_KEY, JSON.stringify({ version: STATS_VERSION, stats }));
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Add a finished game (as returned by Grid.getGameSummary) to stats, in place.
+ * Returns the game's position in its high score list (0 = new best) or -1 when it did not make
+ * the list.
+ */
+export function addGame(stats, game, date = Date.now()) {
+    const score = Number(game.score) || 0;
+    stats.games++;
+    stats.totalScore += score;
+    stats.hintsUsed += game.hintsUsed || 0;
+    stats.goldCreated += game.goldCreated || 0;
+    stats.goldCollected += game.goldCollected || 0;
+    stats.longestPath = Math.max(stats.longestPath, game.longestPath || 0);
+    stats.biggestMerge = Math.max(stats.biggestMerge, game.biggestMerge || 0);
+
+    const key = boardKey(game.mode, game.rows, game.cols);
+    const list = stats.highScores[key] || [];
+    // ties go below the older score
+    let rank = list.findIndex((e) => score > e.score);
+    if (rank < 0) rank = list.length;
+    list.splice(rank, 0, { score, date });
+    list.length = Math.min(list.length, TOP_SCORES);
+    stats.highScores[key] = list;
+    return rank < TOP_SCORES ? rank : -1;
+}
+
+// load, add the game and save; returns { stats, key, rank } (see addGame)
+export function recordGame(game, storage) {
+    const stats = loadStats(storage);
+    const rank = addGame(stats, game);
+    saveStats(stats, storage);
+    return { stats, key: boardKey(game.mode, game.rows, game.cols), rank };
+}
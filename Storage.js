@@ -0,0 +1,13 @@
+// Where saves, stats, settings and progress live: the storage passed in (tests, embedders) or
+// the browser's localStorage.
+
+// storage to use, or null when there is none
+export function getStorage(storage) {
+    if (storage) return storage;
+    try {
+        return globalThis.localStorage || null;
+    } catch (e) {
+        // access can throw when storage is disabled (privacy modes, sandboxed iframes)
+        return null;
+    }
+}
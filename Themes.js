@@ -0,0 +1,141 @@
+// Named color themes. A theme covers the page background, HUD text, tile colors per value, tile
+// text, the selection path, highlights, the keyboard cursor and hint borders. Grid.setTheme()
+// and SquareWithText.setTheme() switch a running board over without rebuilding it.
+//
+// Tiles can also carry a small shape per value (GLYPHS) so they stay distinguishable without
+// color; themes made for accessibility show them by default, the others on request.
+
+export const DEFAULT_THEME = 'dark';
+
+// value -> shape drawn in the tile corner (see SquareWithText._drawGlyph)
+export const GLYPHS = {
+    1: 'dot',
+    5: 'circle',
+    10: 'triangle',
+    25: 'square',
+    50: 'diamond',
+    100: 'hexagon',
+};
+
+// shape of gold tiles, whatever value gold is
+export const GOLD_GLYPH = 'star';
+
+export const THEMES = {
+    dark: {
+        id: 'dark',
+        name: 'Dark',
+        background: 0x0b1220,
+        hudText: '#ffffff',
+        accent: '#ffe066',
+        tiles: {
+            1: 0x555555,
+            5: 0x3b82f6, // blue
+            10: 0x10b981, // green
+            25: 0xf59e0b, // amber
+            50: 0xef4444, // red
+            100: 0x8b5cf6, // purple
+        },
+        tileFill: 0x333333, // values without a color
+        goldFill: 0xffd700, // gold tiles, whatever their value
+        wildFill: 0xec4899,
+        blockerFill: 0x1f2937,
+        text: 0xffffff,
+        textOnBright: 0x000000, // tiles brighter than brightText use this instead
+        brightText: 160,
+        path: { color: 0xffffff, alpha: 0.18, fill: 0xffffff, fillAlpha: 0.06 },
+        highlight: { color: 0xffffff, alpha: 0.06 },
+        cursor: 0xffe066,
+        hint: { color: 0xff2b20, fill: 0xff0000, fillAlpha: 0.28 },
+        glyphs: false,
+    },
+    light: {
+        id: 'light',
+        name: 'Light',
+        background: 0xf1f5f9,
+        hudText: '#0f172a',
+        accent: '#b45309',
+        tiles: {
+            1: 0x94a3b8,
+            5: 0x60a5fa,
+            10: 0x34d399,
+            25: 0xfbbf24,
+            50: 0xf87171,
+            100: 0xa78bfa,
+        },
+        tileFill: 0xcbd5e1,
+        goldFill: 0xfacc15,
+        wildFill: 0xf472b6,
+        blockerFill: 0x64748b,
+        text: 0xffffff,
+        textOnBright: 0x111827,
+        brightText: 150,
+        path: { color: 0x0f172a, alpha: 0.25, fill: 0x0f172a, fillAlpha: 0.08 },
+        highlight: { color: 0x000000, alpha: 0.1 },
+        cursor: 0x1d4ed8,
+        hint: { color: 0xdc2626, fill: 0xef4444, fillAlpha: 0.2 },
+        glyphs: false,
+    },
+    'high-contrast': {
+        id: 'high-contrast',
+        name: 'High Contrast',
+        background: 0x000000,
+        hudText: '#ffffff',
+        accent: '#ffff00',
+        tiles: {
+            1: 0x4d4d4d,
+            5: 0x0050ff,
+            10: 0x008a00,
+            25: 0xff8c00,
+            50: 0xd00000,
+            100: 0x9b00ff,
+        },
+        tileFill: 0x262626,
+        goldFill: 0xffff00,
+        wildFill: 0xff00ff,
+        blockerFill: 0x000000,
+        text: 0xffffff,
+        textOnBright: 0x000000,
+        brightText: 140,
+        path: { color: 0xffffff, alpha: 0.9, fill: 0xffffff, fillAlpha: 0.25 },
+        highlight: { color: 0xffffff, alpha: 0.3 },
+        cursor: 0x00ffff,
+        hint: { color: 0x00ffff, fill: 0x00ffff, fillAlpha: 0.3 },
+        glyphs: true,
+    },
+    // Okabe-Ito palette: stays distinct for the common forms of color blindness
+    colorblind: {
+        id: 'colorblind',
+        name: 'Colorblind Safe',
+        background: 0x0b1220,
+        hudText: '#ffffff',
+        accent: '#f0e442',
+        tiles: {
+            1: 0x6b7280,
+            5: 0x0072b2, // blue
+            10: 0x009e73, // bluish green
+            25: 0xe69f00, // orange
+            50: 0xd55e00, // vermillion
+            100: 0xcc79a7, // reddish purple
+        },
+        tileFill: 0x333333,
+        goldFill: 0xf0e442,
+        wildFill: 0x56b4e9,
+        blockerFill: 0x1f2937,
+        text: 0xffffff,
+        textOnBright: 0x000000,
+        brightText: 150,
+        path: { color: 0xffffff, alpha: 0.35, fill: 0xffffff, fillAlpha: 0.1 },
+        highlight: { color: 0xffffff, alpha: 0.12 },
+        cursor: 0xf0e442,
+        hint: { color: 0x56b4e9, fill: 0x56b4e9, fillAlpha: 0.28 },
+        glyphs: true,
+    },
+};
+
+export const THEME_IDS = Object.keys(THEMES);
+
+// theme object for an id (or a theme object itself); unknown ids fall back to the default
+export function getTheme(theme) {
+    if (theme && typeof theme === 'object') return theme;
+    return THEMES[theme] || THEMES[DEFAULT_THEME];
+}
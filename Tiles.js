@@ -0,0 +1,42 @@
+// Special tile kinds. Plain tiles are just numbers; a cell can additionally carry a kind:
+//
+//  - wild:    joins any chain and counts as whatever value makes the merge legal; has no value
+//             of its own (stored as 0)
+//  - bomb:    a numbered tile that also clears the 3x3 area around it when it is merged;
+//             blockers survive the blast and locked tiles in it only lose their lock
+//  - blocker: an immovable empty slot; cannot be selected, gravity flows past it
+//  - locked:  a numbered tile that cannot be selected or fall until a merge happens next to it
+//
+// Level layouts (see Levels.js) write them as tokens: 'W' wild, 'X' blocker, 'B25' bomb 25,
+// 'L10' locked 10; plain numbers and null stay plain tiles / random cells.
+
+export const TILE = { WILD: 'wild', BOMB: 'bomb', BLOCKER: 'blocker', LOCKED: 'locked' };
+
+export const TILE_KINDS = Object.values(TILE);
+
+// spawn chances per refilled cell; 0 keeps the board sequence identical to plain boards
+export const DEFAULT_SPECIALS = { wild: 0, bomb: 0 };
+
+// can be picked up by a selection
+export function isSelectableKind(kind) {
+    return kind !== TILE.BLOCKER && kind !== TILE.LOCKED;
+}
+
+// stays in its slot while gravity moves everything else
+export function isFixedKind(kind) {
+    return kind === TILE.BLOCKER || kind === TILE.LOCKED;
+}
+
+/**
+ * Layout cell -> { value, kind } or null for a random cell. Throws on unknown tokens.
+ */
+export function parseLayoutToken(token) {
+    if (token == null) return null;
+    if (Number.isFinite(token)) return { value: token, kind: null };
+    const str = String(token).trim().toUpperCase();
+    if (str === 'W') return { value: 0, kind: TILE.WILD };
+    if (str === 'X') return { value: null, kind: TILE.BLOCKER };
+    const m = /^([BL])(\d+)$/.exec(str);
+    if (m) return { value: Number(m[2]), kind: m[1] === 'B' ? TILE.BOMB : TILE.LOCKED };
+    throw new Error(`Unknown layout token "${token}"`);
+}
@@ -0,0 +1,77 @@
+import { BehaviorSubject } from 'rxjs';
+
+// Bounded undo/redo history of opaque entries. The owner decides what an entry holds
+// (Grid stores board snapshots plus the move that followed them); this class only keeps
+// the two stacks consistent and publishes availability for HUD buttons.
+export class UndoStack {
+    /**
+     * limit: maximum number of undo steps kept (oldest are dropped); 0 disables undo
+     */
+    constructor(limit = 20) {
+        this.limit = Math.max(0, Number(limit) || 0);
+        this._undo = [];
+        this._redo = [];
+        // { canUndo, canRedo, undoCount, redoCount }
+        this.availability$ = new BehaviorSubject(this._availability());
+    }
+
+    get canUndo() {
+        return this._undo.length > 0;
+    }
+
+    get canRedo() {
+        return this._redo.length > 0;
+    }
+
+    // record a new step; any redo history is discarded
+    push(entry) {
+        if (this.limit === 0) return;
+        this._undo.push(entry);
+        while (this._undo.length > this.limit) this._undo.shift();
+        this._redo = [];
+        this._publish();
+    }
+
+    // pop the newest entry and move it onto the redo stack
+    undo() {
+        const entry = this._undo.pop();
+        if (!entry) return null;
+        this._redo.push(entry);
+        this._publish();
+        return entry;
+    }
+
+    // pop the newest undone entry and move it back onto the undo stack
+    redo() {
+        const entry = this._redo.pop();
+        if (!entry) return null;
+        this._undo.push(entry);
+        this._publish();
+        return entry;
+    }
+
+    clear() {
+        this._undo = [];
+        this._redo = [];
+        this._publish();
+    }
+
+    setLimit(limit) {
+        this.limit = Math.max(0, Number(limit) || 0);
+        while (this._undo.length > this.limit) this._undo.shift();
+        this._publish();
+    }
+
+    _availability() {
+        return {
+            canUndo: this.canUndo,
+            canRedo: this.canRedo,
+            undoCount: this._undo.length,
+            redoCount: this._redo.length,
+        };
+    }
+
+    _publish() {
+        this.availability$.next(this._availability());
+    }
+}
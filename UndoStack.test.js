@@ -0,0 +1,78 @@
+// Checks of the bounded undo/redo history.
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UndoStack } from './UndoStack.js';
+
+test('undo and redo walk the history in order', () => {
+    const stack = new UndoStack();
+    stack.push('a');
+    stack.push('b');
+    assert.equal(stack.undo(), 'b');
+    assert.equal(stack.undo(), 'a');
+    assert.equal(stack.undo(), null);
+    assert.equal(stack.redo(), 'a');
+    assert.equal(stack.redo(), 'b');
+    assert.equal(stack.redo(), null);
+});
+
+test('a new step drops the redo history', () => {
+    const stack = new UndoStack();
+    stack.push('a');
+    stack.push('b');
+    stack.undo();
+    assert.ok(stack.canRedo);
+    stack.push('c');
+    assert.equal(stack.canRedo, false);
+    assert.equal(stack.redo(), null);
+    assert.equal(stack.undo(), 'c');
+    assert.equal(stack.undo(), 'a');
+});
+
+test('the oldest steps fall off past the limit', () => {
+    const stack = new UndoStack(2);
+    for (let entry of ['a', 'b', 'c']) stack.push(entry);
+    assert.equal(stack.undo(), 'c');
+    assert.equal(stack.undo(), 'b');
+    assert.equal(stack.canUndo, false);
+
+    stack.clear();
+    for (let entry of ['a', 'b', 'c']) stack.push(entry);
+    stack.setLimit(1);
+    assert.equal(stack.undo(), 'c');
+    assert.equal(stack.canUndo, false);
+});
+
+test('a limit of 0 turns undo off', () => {
+    const stack = new UndoStack(0);
+    stack.push('a');
+    assert.equal(stack.canUndo, false);
+    assert.equal(stack.undo(), null);
+});
+
+test('availability$ follows every change', () => {
+    const stack = new UndoStack();
+    const seen = [];
+    stack.availability$.subscribe(({ undoCount, redoCount }) => seen.push([undoCount, redoCount]));
+    stack.push('a');
+    stack.push('b');
+    stack.undo();
+    stack.push('c');
+    stack.clear();
+    assert.deepEqual(seen, [
+        [0, 0],
+        [1, 0],
+        [2, 0],
+        [1, 1],
+        [2, 0],
+        [0, 0],
+    ]);
+    assert.deepEqual(stack.availability$.getValue(), {
+        canUndo: false,
+        canRedo: false,
+        undoCount: 0,
+        redoCount: 0,
+    });
+});
@@ -1,5 +1,41 @@
-import { Application, Assets, BitmapText, Container, SplitBitmapText, Graphics } from 'pixi.js';
+import { Application, BitmapText, Container, SplitBitmapText, Text } from 'pixi.js';
+import { gsap } from 'gsap';
 import { Grid } from './Grid.js';
+import { saveGame, loadGame, clearSave } from './SaveGame.js';
+import { ReplayRecorder, ReplayPlayer } from './Replay.js';
+import { KeyboardInput } from './KeyboardInput.js';
+import { AccessibleBoard } from './AccessibleBoard.js';
+import { showMenu, closeMenus } from './Menu.js';
+import {
+    validateLevel,
+    loadLevelProgress,
+    markLevelComplete,
+    unlockedLevelIndex,
+} from './Levels.js';
+import { createLevelGrid, playLevel } from './LevelMode.js';
+import { ArcadeMode, createArcadeGrid } from './ArcadeMode.js';
+import { DailyMode, createDailyGrid, dailyId, loadDailyDay, shareResult } from './DailyMode.js';
+import { formatTime } from './ArcadeTimer.js';
+import { loadStats, recordGame, boardKey, boardLabel } from './Stats.js';
+import { SettingsStore } from './Settings.js';
+import { THEMES, THEME_IDS, getTheme } from './Themes.js';
+import { GameAudio } from './Audio.js';
+import { FONT_NAME, loadGameFont } from './Fonts.js';
+import {
+    t,
+    locale$,
+    setLocale,
+    getLocale,
+    LOCALES,
+    localeInfo,
+    isRTL,
+    formatNumber,
+    formatPercent,
+    formatDate,
+} from './I18n.js';
+import levelData from './levels.json';
+
+const LEVELS = levelData.levels.map(validateLevel);
 
 (async () => {
     // Create a new application
@@ -8,77 +44,564 @@ import { Grid } from './Grid.js';
     globalThis.__PIXI_APP__ = app;
 
     // Initialize the application
-    // use a darker neutral background to match the new cell color palette
-    await app.init({ background: '#0b1220', resizeTo: window });
+    // the background follows the theme (see applyTheme below)
+    await app.init({ background: THEMES.dark.background, resizeTo: window });
 
     // Append the application canvas to the document body
     document.body.appendChild(app.canvas);
 
-    await Assets.load('https://pixijs.com/assets/bitmap-font/desyrel.xml');
+    // preferences, read first so even the preloader speaks the player's language
+    const settings = new SettingsStore();
+    setLocale(settings.value.locale);
+
+    // preloader: the font is the only asset; without it the generated stand-in is used
+    const loadingText = (p) => t('loading', { percent: Math.round(p * 100) });
+    const loading = new Text(loadingText(0), {
+        fontFamily: 'Arial',
+        fontSize: 20,
+        fill: '#ffffff',
+    });
+    loading.anchor.set(0.5);
+    loading.position.set(app.screen.width / 2, app.screen.height / 2);
+    app.stage.addChild(loading);
+    await loadGameFont({
+        baseUrl: import.meta.env.BASE_URL,
+        onProgress: (p) => (loading.text = loadingText(p)),
+    });
+    app.stage.removeChild(loading);
+    loading.destroy();
+
+    // sound starts with the first tap or key press
+    const audio = new GameAudio(settings);
+    audio.listenForUnlock(window);
 
     const scene = new Container();
     scene.position.set(app.screen.width / 2, app.screen.height / 2);
     scene.label = 'scene';
     app.stage.addChild(scene);
 
-    const grid = new Grid(8, 8);
+    // score and arcade countdown (fixed to screen) use the bitmap font, or a system font for
+    // languages it has no glyphs for; recreated when that changes (see applyLocale)
+    const makeHudText = (old = null) => {
+        const label = localeInfo().bitmapFont
+            ? new BitmapText('', { fontName: FONT_NAME, fontSize: 28, tint: 0xffffff })
+            : new Text('', { fontFamily: 'Arial', fontSize: 26, fill: '#ffffff' });
+        label.y = 16;
+        label.zIndex = 1000;
+        if (old) {
+            label.text = old.text;
+            label.tint = old.tint;
+            app.stage.removeChild(old);
+            old.destroy();
+        }
+        app.stage.addChild(label);
+        return label;
+    };
+    let hud = makeHudText();
+    hud.text = t('hud.score', { score: 0 });
+    // empty outside arcade mode
+    let timerText = makeHudText();
 
-    scene.addChild(grid);
+    // last score event: points plus the combo / bonus breakdown, fading out
+    const bonusText = new Text('', { fontFamily: 'Arial', fontSize: 16, fill: '#ffe066' });
+    bonusText.y = 84;
+    bonusText.zIndex = 1000;
+    app.stage.addChild(bonusText);
 
-    // Score HUD (fixed to screen)
-    const hud = new BitmapText('Score: 0', { fontName: 'Desyrel', fontSize: 28, tint: 0xffffff });
-    hud.x = 16;
-    hud.y = 16;
-    hud.zIndex = 1000;
-    app.stage.addChild(hud);
+    // level objectives and moves left (empty outside level mode)
+    const statusText = new Text('', { fontFamily: 'Arial', fontSize: 16, fill: '#ffffff' });
+    statusText.y = 112;
+    statusText.zIndex = 1000;
+    app.stage.addChild(statusText);
 
-    // update HUD via score$ if available, otherwise fallback to per-frame polling
-    if (grid.score$ && typeof grid.score$.subscribe === 'function') {
-        const sub = grid.score$.subscribe((s) => {
-            try {
-                hud.text = `Score: ${s}`;
-                hud.updateTransform();
-            } catch (e) {}
-        });
-        // ensure we unsubscribe on window unload
-        window.addEventListener('beforeunload', () => sub.unsubscribe());
-    } else {
-        // fallback per-frame update
-        app.ticker.add(() => {
+    // Undo / Redo / Menu / Sound HUD buttons, undo and redo dimmed while unavailable
+    const undoBtnStyle = { fontFamily: 'Arial', fontSize: 18, fill: '#ffffff' };
+    const undoBtn = new Text('', undoBtnStyle);
+    const redoBtn = new Text('', undoBtnStyle);
+    const menuBtn = new Text('', undoBtnStyle);
+    const soundBtn = new Text('', undoBtnStyle);
+    undoBtn.y = redoBtn.y = menuBtn.y = soundBtn.y = 56;
+
+    // HUD rows flow from the left edge, or from the right one for right-to-left languages
+    const layoutHud = () => {
+        try {
+            const rtl = isRTL();
+            const right = app.screen.width - 16;
+            const row = (items, gap) => {
+                let offset = 0;
+                for (let item of items) {
+                    item.x = rtl ? right - offset - item.width : 16 + offset;
+                    offset += item.width + gap;
+                }
+            };
+            row([hud, timerText], 24);
+            row([undoBtn, redoBtn, menuBtn, soundBtn], 16);
+            for (let text of [bonusText, statusText]) {
+                text.anchor.x = rtl ? 1 : 0;
+                text.x = rtl ? right : 16;
+                text.style.align = rtl ? 'right' : 'left';
+            }
+        } catch (e) {}
+    };
+    const soundLabel = () => t(settings.value.muted ? 'hud.soundOff' : 'hud.sound');
+    settings.settings$.subscribe(() => {
+        soundBtn.text = soundLabel();
+        layoutHud();
+    });
+
+    // colors of the page, the HUD and the board on screen; the glyphs setting only turns
+    // shapes on (null lets the theme decide)
+    const applyTheme = ({ theme: id, glyphs }) => {
+        const theme = getTheme(id);
+        app.renderer.background.color = theme.background;
+        hud.tint = theme.hudText;
+        // the arcade timer redraws every tick and turns red near the end on its own
+        timerText.tint = theme.hudText;
+        [statusText, undoBtn, redoBtn, menuBtn, soundBtn].forEach(
+            (t) => (t.style.fill = theme.hudText)
+        );
+        bonusText.style.fill = theme.accent;
+        if (grid) grid.setTheme(theme, glyphs || null);
+    };
+    for (let [btn, action] of [
+        [undoBtn, () => grid && grid.undo()],
+        [redoBtn, () => grid && grid.redo()],
+        [menuBtn, () => showMainMenu()],
+        [soundBtn, () => settings.update({ muted: !settings.value.muted })],
+    ]) {
+        btn.zIndex = 1000;
+        btn.interactive = true;
+        btn.buttonMode = true;
+        btn.on('pointertap', action);
+        app.stage.addChild(btn);
+    }
+
+    // the grid currently on screen and everything wired to it; modes swap grids via mountGrid
+    let grid = null;
+    let teardown = null;
+    // the current game is already in the stats; cleared by a restart
+    let recorded = false;
+    settings.settings$.subscribe(applyTheme);
+
+    // HUD texts in the current language; menus pick it up the next time they open
+    const applyLocale = () => {
+        document.documentElement.lang = getLocale();
+        document.documentElement.dir = isRTL() ? 'rtl' : 'ltr';
+        if (hud instanceof BitmapText !== localeInfo().bitmapFont) {
+            hud = makeHudText(hud);
+            timerText = makeHudText(timerText);
+        }
+        hud.text = t('hud.score', { score: grid ? grid.score : 0 });
+        undoBtn.text = t('hud.undo');
+        redoBtn.text = t('hud.redo');
+        menuBtn.text = t('hud.menu');
+        soundBtn.text = soundLabel();
+        layoutHud();
+    };
+    locale$.subscribe(applyLocale);
+    settings.settings$.subscribe(({ locale }) => setLocale(locale));
+
+    // add the finished game on screen to the stats, once; replays are not the player's games
+    const recordFinishedGame = () => {
+        if (!grid || recorded || !grid.inputEnabled) return;
+        recorded = true;
+        const { stats, key, rank } = recordGame(grid.getGameSummary());
+        if (rank === 0 && stats.highScores[key].length > 1) {
+            bonusText.text = t('hud.newBest');
+            gsap.killTweensOf(bonusText);
+            gsap.fromTo(bonusText, { alpha: 1 }, { alpha: 0, delay: 2.4, duration: 0.6 });
+        }
+    };
+
+    // best scores of one board size and mode plus lifetime totals; resolves when closed
+    const showStats = async (key = null) => {
+        const stats = loadStats();
+        const keys = Object.keys(stats.highScores);
+        if (!keys.includes(key)) key = keys[0] || null;
+        for (;;) {
+            const lines = [];
+            if (key) {
+                lines.push(boardLabel(key));
+                stats.highScores[key].slice(0, 5).forEach(({ score, date }, i) => {
+                    const rank = formatNumber(i + 1);
+                    lines.push(`${rank}.  ${formatNumber(score)}   ${formatDate(date)}`);
+                });
+            } else {
+                lines.push(t('stats.empty'));
+            }
+            const average = stats.games ? Math.round(stats.totalScore / stats.games) : 0;
+            lines.push(
+                '',
+                t('stats.games', { games: stats.games, average }),
+                t('stats.records', { path: stats.longestPath, merge: stats.biggestMerge }),
+                t('stats.gold', { made: stats.goldCreated, collected: stats.goldCollected }),
+                t('stats.hints', { hints: stats.hintsUsed })
+            );
+            const choice = await showMenu(scene, {
+                title: t('stats.title'),
+                message: lines.join('\n'),
+                width: 420,
+                items: [
+                    { label: t('stats.next'), value: 'next', disabled: keys.length < 2 },
+                    { label: t('stats.close'), value: 'close' },
+                ],
+            });
+            if (choice === 'close') return;
+            key = keys[(keys.indexOf(key) + 1) % keys.length];
+        }
+    };
+
+    const unmountGrid = () => {
+        if (!grid) return;
+        teardown && teardown();
+        teardown = null;
+        scene.removeChild(grid);
+        grid.destroy({ children: true });
+        grid = null;
+        statusText.text = '';
+        timerText.text = '';
+    };
+
+    const mountGrid = (next) => {
+        unmountGrid();
+        grid = next;
+        recorded = false;
+        scene.addChild(grid);
+        applyTheme(settings.value);
+
+        const subs = [];
+        subs.push(
+            grid.score$.subscribe((s) => {
+                try {
+                    hud.text = t('hud.score', { score: s });
+                    hud.updateTransform();
+                    layoutHud();
+                } catch (e) {}
+            })
+        );
+        subs.push(
+            grid.scoreEvents$.subscribe((ev) => {
+                const { lengthBonus, goldBonus, comboMultiplier, cascadeMultiplier } = ev.breakdown;
+                const fixed = (n, digits) =>
+                    formatNumber(n, {
+                        minimumFractionDigits: digits,
+                        maximumFractionDigits: digits,
+                    });
+                const parts = [t('hud.points', { points: ev.points })];
+                if (ev.collected)
+                    parts.push(t('hud.goldCollected', { bonus: ev.breakdown.collectBonus }));
+                if (comboMultiplier > 1)
+                    parts.push(t('hud.combo', { multiplier: fixed(comboMultiplier, 2) }));
+                if (cascadeMultiplier > 1)
+                    parts.push(t('hud.cascade', { multiplier: fixed(cascadeMultiplier, 1) }));
+                if (lengthBonus > 0) parts.push(t('hud.longPath', { bonus: lengthBonus }));
+                if (goldBonus > 0) parts.push(t('hud.goldBonus', { bonus: goldBonus }));
+                bonusText.text = parts.join('  ');
+                gsap.killTweensOf(bonusText);
+                gsap.fromTo(bonusText, { alpha: 1 }, { alpha: 0, delay: 1.2, duration: 0.6 });
+            })
+        );
+        subs.push(
+            grid.shuffle$.subscribe(({ shufflesLeft, rerolled }) => {
+                const shuffles = t('shuffles', { count: shufflesLeft });
+                bonusText.text = t(rerolled ? 'hud.dealt' : 'hud.shuffled', { shuffles });
+                gsap.killTweensOf(bonusText);
+                gsap.fromTo(bonusText, { alpha: 1 }, { alpha: 0, delay: 1.8, duration: 0.6 });
+            })
+        );
+        // levels are recorded when they are decided (see runLevels)
+        if (grid.mode !== 'level')
+            subs.push(grid.gameOver$.subscribe((over) => over && recordFinishedGame()));
+        subs.push(grid.history$.subscribe((ev) => ev.type === 'restart' && (recorded = false)));
+        subs.push(
+            grid.statsRequested$.subscribe(() =>
+                showStats(boardKey(grid.mode, grid.rows, grid.cols))
+            )
+        );
+        // undo and redo are off once the game is over (see Grid.canUndo)
+        const updateUndoButtons = () => {
+            undoBtn.alpha = grid.canUndo ? 1 : 0.35;
+            redoBtn.alpha = grid.canRedo ? 1 : 0.35;
+        };
+        subs.push(grid.undoState$.subscribe(updateUndoButtons));
+        subs.push(grid.gameOver$.subscribe(updateUndoButtons));
+
+        // persist endless runs after every resolved move; finished games cannot be continued.
+        // Scripted sessions (replays) run with pointer input disabled and neither save nor clear.
+        if (grid.mode === 'endless') {
+            subs.push(grid.stateChanged$.subscribe((s) => grid.inputEnabled && saveGame(s)));
+            subs.push(grid.gameOver$.subscribe((over) => over && grid.inputEnabled && clearSave()));
+        }
+
+        // keyboard / gamepad selection through the grid's focus cursor
+        const keyboard = new KeyboardInput(grid);
+        // screen reader mirror of the board; removes itself with the grid
+        new AccessibleBoard(grid);
+
+        // record the current run; exposed for bug reports and showcasing runs from the console:
+        //   const doc = __CASHCOW__.recorder.toJSON();
+        //   const player = __CASHCOW__.replay(doc); player.setSpeed(2); player.play();
+        const recorder = new ReplayRecorder(grid);
+        const current = grid;
+        globalThis.__CASHCOW__ = {
+            grid,
+            recorder,
+            replay: (doc) => new ReplayPlayer(current, doc),
+        };
+
+        subs.push(audio.attach(grid));
+
+        teardown = () => {
+            subs.forEach((s) => s.unsubscribe());
+            keyboard.destroy();
+            recorder.destroy();
+        };
+        onResize();
+        return grid;
+    };
+
+    const startArcade = () => {
+        mountGrid(createArcadeGrid());
+        const arcade = new ArcadeMode(grid);
+        // completes when the grid is unmounted
+        arcade.remaining$.subscribe((ms) => {
             try {
-                hud.text = `Score: ${grid.score}`;
-                hud.updateTransform();
+                timerText.text = t('hud.time', { time: formatTime(ms) });
+                layoutHud();
+                timerText.tint = ms <= 10000 ? 0xff6b6b : getTheme(settings.value.theme).hudText;
             } catch (e) {}
         });
-    }
+    };
+
+    const startEndless = (saved = null) => {
+        mountGrid(new Grid(8, 8, { shuffles: 3 }));
+        // a save that does not fit this board is dropped
+        if (saved && !grid.loadState(saved)) clearSave();
+    };
+
+    const SHARE_STATUS = {
+        shared: 'daily.shared',
+        copied: 'daily.copied',
+        failed: 'daily.shareFailed',
+    };
+
+    // the day's finished result with sharing; resolves when the player leaves it
+    const showDailyResult = async (result) => {
+        let status = '';
+        for (;;) {
+            const lines = [
+                t('daily.result', {
+                    score: result.score,
+                    moves: result.moves,
+                    merge: result.biggestMerge,
+                }),
+                '',
+                ...result.board,
+                '',
+                status || t('daily.done'),
+            ];
+            const choice = await showMenu(scene, {
+                title: t('daily.title'),
+                message: lines.join('\n'),
+                width: 420,
+                items: [
+                    { label: t('daily.share'), value: 'share' },
+                    { label: t('menu.stats'), value: 'stats' },
+                    { label: t('menu.back'), value: 'back' },
+                ],
+            });
+            if (choice === 'back') return showMainMenu();
+            if (choice === 'stats') {
+                await showStats(boardKey('daily', 8, 8));
+            } else {
+                const outcome = await shareResult(result);
+                status = t(SHARE_STATUS[outcome]);
+            }
+        }
+    };
+
+    // today's board, continued where it was left; a finished day only shows its result
+    const startDaily = () => {
+        const id = dailyId();
+        const day = loadDailyDay(id);
+        if (day && day.result) return showDailyResult(day.result);
+        mountGrid(createDailyGrid(id));
+        if (day && day.state) grid.loadState(day.state);
+        const daily = new DailyMode(grid, id);
+        daily.finished$.subscribe((result) => showDailyResult(result));
+    };
+
+    // level list, then levels back to back until the player leaves for the list again
+    const runLevels = async () => {
+        for (;;) {
+            const progress = loadLevelProgress();
+            const unlocked = unlockedLevelIndex(LEVELS, progress);
+            const items = LEVELS.map((level, i) => ({
+                label:
+                    `${formatNumber(i + 1)}. ${level.name}` +
+                    (progress.completed.includes(level.id) ? ' ✓' : ''),
+                value: i,
+                disabled: i > unlocked,
+            }));
+            items.push({ label: t('menu.back'), value: 'back' });
+            const choice = await showMenu(scene, { title: t('levels.title'), items });
+            if (choice === 'back') return showMainMenu();
+
+            let index = choice;
+            while (index != null) {
+                const level = LEVELS[index];
+                mountGrid(createLevelGrid(level));
+                const result = await playLevel(grid, level, statusText);
+                // left through the Menu button
+                if (result === 'quit') return;
+                if (result === 'won') markLevelComplete(level.id);
+                recordFinishedGame();
+                const hasNext = index + 1 < LEVELS.length;
+                let next = 'stats';
+                while (next === 'stats') {
+                    next = await showMenu(scene, {
+                        title: t(result === 'won' ? 'levels.complete' : 'levels.failed'),
+                        message: t('levels.result', { name: level.name, score: grid.score }),
+                        items: [
+                            result === 'won' && hasNext
+                                ? { label: t('levels.next'), value: 'next' }
+                                : { label: t('levels.retry'), value: 'retry' },
+                            { label: t('menu.levels'), value: 'levels' },
+                            { label: t('menu.stats'), value: 'stats' },
+                        ],
+                    });
+                    if (next === 'stats')
+                        await showStats(boardKey('level', level.rows, level.cols));
+                }
+                if (next === 'next') index++;
+                else if (next === 'levels') index = null;
+            }
+        }
+    };
+
+    // volumes step through 0-100% in fifths, languages through automatic and each catalog;
+    // each pick applies and saves right away
+    const showSettings = async () => {
+        const volumes = [
+            ['masterVolume', 'settings.volume'],
+            ['sfxVolume', 'settings.effects'],
+            ['musicVolume', 'settings.music'],
+        ];
+        const languages = ['', ...LOCALES];
+        for (;;) {
+            const current = settings.value;
+            const items = volumes.map(([key, label]) => ({
+                label: t(label, { percent: formatPercent(current[key]) }),
+                value: key,
+            }));
+            const theme = getTheme(current.theme);
+            const themeName = t(`theme.${theme.id}`);
+            const language = current.locale
+                ? localeInfo(current.locale).name
+                : t('settings.languageAuto');
+            items.push(
+                {
+                    label: t(current.muted ? 'settings.soundOff' : 'settings.soundOn'),
+                    value: 'muted',
+                },
+                {
+                    label: t('settings.theme', {
+                        name: themeName === `theme.${theme.id}` ? theme.name : themeName,
+                    }),
+                    value: 'theme',
+                },
+                {
+                    label: t(current.glyphs ? 'settings.shapesOn' : 'settings.shapesAuto'),
+                    value: 'glyphs',
+                },
+                { label: t('settings.language', { name: language }), value: 'locale' },
+                { label: t('menu.back'), value: 'back' }
+            );
+            const choice = await showMenu(scene, { title: t('settings.title'), items });
+            if (choice === 'back') return;
+            if (choice === 'muted') {
+                settings.update({ muted: !current.muted });
+            } else if (choice === 'theme') {
+                const next = (THEME_IDS.indexOf(current.theme) + 1) % THEME_IDS.length;
+                settings.update({ theme: THEME_IDS[next] });
+            } else if (choice === 'glyphs') {
+                settings.update({ glyphs: !current.glyphs });
+            } else if (choice === 'locale') {
+                const next = (languages.indexOf(current.locale) + 1) % languages.length;
+                settings.update({ locale: languages[next] });
+            } else {
+                const next = Math.round(current[choice] * 5 + 1) % 6;
+                settings.update({ [choice]: next / 5 });
+            }
+        }
+    };
+
+    let menuOpen = false;
+    const showMainMenu = async () => {
+        if (menuOpen) return;
+        menuOpen = true;
+        // abandons whatever dialog was open (level list, level result)
+        closeMenus(scene);
+        unmountGrid();
+        const saved = loadGame();
+        const items = [];
+        if (saved) items.push({ label: t('menu.continue'), value: 'continue' });
+        const today = loadDailyDay();
+        items.push(
+            { label: t('menu.daily') + (today && today.result ? ' ✓' : ''), value: 'daily' },
+            { label: t('menu.endless'), value: 'endless' },
+            { label: t('menu.arcade'), value: 'arcade' },
+            { label: t('menu.levels'), value: 'levels' },
+            { label: t('menu.stats'), value: 'stats' },
+            { label: t('menu.settings'), value: 'settings' }
+        );
+        const choice = await showMenu(scene, { title: 'Cash Cow', items });
+        menuOpen = false;
+        if (choice === 'continue') {
+            startEndless(saved);
+        } else if (choice === 'daily') {
+            startDaily();
+        } else if (choice === 'arcade') {
+            startArcade();
+        } else if (choice === 'stats') {
+            await showStats();
+            showMainMenu();
+        } else if (choice === 'settings') {
+            await showSettings();
+            showMainMenu();
+        } else if (choice === 'endless') {
+            clearSave();
+            startEndless();
+        } else {
+            runLevels();
+        }
+    };
 
     // keep scene centered and allow grid to react to size changes
     const onResize = () => {
         // app.screen is kept updated because app.init({ resizeTo: window }) is used
         scene.position.set(app.screen.width / 2, app.screen.height / 2);
 
-        // keep HUD pinned to top-left
-        hud.x = 16;
-        hud.y = 16;
-
-        // If Grid exposes a resize method, call it. Otherwise try a safe fallback scale.
-        if (typeof grid.resize === 'function') {
-            grid.resize(app.screen.width, app.screen.height);
-        } else if (grid.width != null && grid.height != null) {
-            const pad = 40;
-            const maxW = Math.max(1, app.screen.width - pad * 2);
-            const maxH = Math.max(1, app.screen.height - pad * 2);
-            const scale = Math.min(maxW / grid.width, maxH / grid.height, 1);
-            grid.scale.set(scale, scale);
-        }
+        // keep the HUD pinned to the top corner
+        layoutHud();
+
+        if (grid) grid.resize(app.screen.width, app.screen.height);
     };
 
     // Initial layout and listen for window resize events
     onResize();
     window.addEventListener('resize', onResize);
 
-    // cleanup listener on unload
-    window.addEventListener('beforeunload', () => window.removeEventListener('resize', onResize));
+    // cleanup on unload
+    window.addEventListener('beforeunload', () => {
+        window.removeEventListener('resize', onResize);
+        teardown && teardown();
+        audio.destroy();
+    });
+
+    // offer to resume a saved run, otherwise start playing right away
+    if (loadGame()) showMainMenu();
+    else startEndless();
     //     x: 150,
     //     alpha: 0,
     //     duration: 0.7,
@@ -0,0 +1,81 @@
+// Balance simulation: plays games headlessly with a bot strategy and prints the results.
+//
+//   npm run simulate -- --games 1000 --strategy greedy --weights 0.36,0.18,0.12,0.06,0.03,0.01,0
+//   npm run simulate -- --games 200 --format csv > games.csv
+//
+// Options: --games, --seed, --strategy (random | greedy | lookahead), --rows, --cols,
+// --values and --weights (comma separated), --shuffles, --max-moves, --move-time,
+// --auto-merge, --format (json: options and summary, plus every game with --detail;
+// csv: one row per game).
+
+import { parseArgs } from 'node:util';
+import { DEFAULT_BOT, STRATEGIES, simulate, summarize, toCSV } from './Bot.js';
+
+const { values: args } = parseArgs({
+    options: {
+        games: { type: 'string', default: '100' },
+        seed: { type: 'string', default: '1' },
+        strategy: { type: 'string', default: DEFAULT_BOT.strategy },
+        rows: { type: 'string' },
+        cols: { type: 'string' },
+        values: { type: 'string' },
+        weights: { type: 'string' },
+        shuffles: { type: 'string' },
+        'max-moves': { type: 'string' },
+        'move-time': { type: 'string' },
+        'auto-merge': { type: 'boolean', default: false },
+        format: { type: 'string', default: 'json' },
+        detail: { type: 'boolean', default: false },
+    },
+});
+
+const fail = (message) => {
+    console.error(message);
+    process.exit(1);
+};
+const count = (name, fallback) => {
+    if (args[name] == null) return fallback;
+    const n = Number(args[name]);
+    if (!Number.isInteger(n) || n < 0) fail(`--${name} must be a whole number`);
+    return n;
+};
+const numbers = (name, fallback) => {
+    if (args[name] == null) return fallback;
+    const list = args[name].split(',').map(Number);
+    if (!list.every(Number.isFinite)) fail(`--${name} must be comma separated numbers`);
+    return list;
+};
+
+if (!STRATEGIES[args.strategy])
+    fail(`--strategy must be one of ${Object.keys(STRATEGIES).join(', ')}`);
+if (args.format !== 'json' && args.format !== 'csv') fail('--format must be json or csv');
+
+const options = {
+    games: count('games', 100),
+    seed: args.seed,
+    strategy: args.strategy,
+    rows: count('rows', DEFAULT_BOT.rows),
+    cols: count('cols', DEFAULT_BOT.cols),
+    values: numbers('values', DEFAULT_BOT.values),
+    weights: numbers('weights', DEFAULT_BOT.weights),
+    shuffles: count('shuffles', DEFAULT_BOT.shuffles),
+    maxMoves: count('max-moves', DEFAULT_BOT.maxMoves),
+    moveTime: count('move-time', DEFAULT_BOT.moveTime),
+    autoMerge: args['auto-merge'],
+};
+if (options.weights.length !== options.values.length) fail('--weights needs one weight per value');
+
+// progress on stderr keeps stdout clean for redirects
+const results = simulate({
+    ...options,
+    onGame: (game, i) => process.stderr.write(`\rgame ${i + 1}/${options.games}`),
+});
+process.stderr.write('\n');
+
+if (args.format === 'csv') {
+    console.log(toCSV(results));
+} else {
+    const report = { options, summary: summarize(results) };
+    if (args.detail) report.games = results;
+    console.log(JSON.stringify(report, null, 2));
+}